@@ -0,0 +1,35 @@
+// lib/auth.js (ESM)
+// Token de administración para las rutas de admin (ADMIN_TOKEN en .env).
+//
+//   app.use("/api/admin", requireAdmin());
+//   -> Authorization: Bearer <token>   (o la cabecera X-Admin-Token)
+//
+// Sin ADMIN_TOKEN las rutas quedan deshabilitadas (503): nunca abiertas por omisión.
+
+import crypto from "crypto";
+
+function digest(s) {
+  return crypto.createHash("sha256").update(String(s)).digest();
+}
+
+export function adminTokenFrom(req) {
+  const auth = req.get("authorization") || "";
+  const m = auth.match(/^Bearer\s+(.+)$/i);
+  return (m ? m[1] : req.get("x-admin-token") || "").trim();
+}
+
+export function requireAdmin({ token = process.env.ADMIN_TOKEN } = {}) {
+  // se comparan los hash (mismo largo) con timingSafeEqual
+  const expected = token ? digest(token) : null;
+
+  return (req, res, next) => {
+    if (!expected) {
+      return res.status(503).json({ ok: false, error: "Administración deshabilitada: define ADMIN_TOKEN en .env." });
+    }
+    const given = adminTokenFrom(req);
+    if (!given || !crypto.timingSafeEqual(digest(given), expected)) {
+      return res.status(401).json({ ok: false, error: "Token de administración inválido." });
+    }
+    next();
+  };
+}
@@ -0,0 +1,276 @@
+// lib/backups.js (ESM)
+// Respaldos de las KBs en un solo lugar (backups/), con retención, listado, diff y rollback.
+//
+//   backups/<kb>/<id>/            una carpeta por versión (id = 20261019_144819)
+//     kb_udl.json, kb_udl.vec     los archivos tal como estaban
+//     backup.json                 { id, name, createdAt, reason, files, meta }
+//
+//   const store = createBackupStore({ dir: "backups" });
+//   store.save("kb_udl", ["kb_udl.json", "kb_udl.vec"], { reason: "build" });
+//   store.list("kb_udl")                         -> versiones, la más nueva primero
+//   store.restore("kb_udl", "latest", { "kb_udl.json": KB_PATH, "kb_udl.vec": VEC_PATH });
+//
+// Una versión cuyo JSON no se puede leer (meta.kind "unknown", p. ej. los respaldos viejos
+// truncados) se lista con restorable: false y restore() la rechaza.
+//
+// backups/ es estado de ejecución y no se versiona (.gitignore), salvo las versiones
+// adoptadas de los respaldos sueltos de antes (reason "legacy"): son el historial del repo,
+// están en git y la retención no las borra.
+//
+// Retención (env): BACKUP_KEEP versiones por KB (10) y, si se define, BACKUP_MAX_DAYS
+// días de antigüedad (0 = sin límite). La versión más nueva nunca se borra.
+
+import fs from "fs";
+import path from "path";
+
+const MANIFEST = "backup.json";
+
+function intFrom(val, def, min, max) {
+  const n = Number(val);
+  if (val === undefined || val === "" || !Number.isFinite(n)) return def;
+  return Math.max(min, Math.min(max, Math.trunc(n)));
+}
+
+function stampOf(d) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}_${pad(d.getHours())}${pad(d.getMinutes())}${pad(d.getSeconds())}`;
+}
+
+// Copia a un temporal y renombra: el destino nunca queda a medio escribir
+function copyAtomic(from, to) {
+  const tmp = `${to}.tmp`;
+  fs.copyFileSync(from, tmp);
+  fs.renameSync(tmp, to);
+}
+
+// Resumen para el listado: KB del servidor (chunks) o KB versionada de bloques
+export function summarizeKB(json) {
+  if (json && Array.isArray(json.chunks)) {
+    const m = json.meta || {};
+    return {
+      kind: "chunks",
+      createdAt: m.createdAt || null,
+      provider: m.provider || null,
+      embedModel: m.embedModel || null,
+      docCount: m.docCount ?? Object.keys(m.docs || {}).length,
+      chunkCount: json.chunks.length,
+      vectors: m.vectors ? `${m.vectors.dtype} × ${m.vectors.dim}` : "json"
+    };
+  }
+  if (json && Array.isArray(json.blocks)) {
+    return {
+      kind: "blocks",
+      kb_id: json.kb_id || null,
+      version: json.version ?? null,
+      updatedAt: json.updatedAt || json.created || null,
+      blocks: json.blocks.length
+    };
+  }
+  return { kind: "unknown" };
+}
+
+function summarizeFile(file) {
+  try {
+    return summarizeKB(JSON.parse(fs.readFileSync(file, "utf8")));
+  } catch (e) {
+    return { kind: "unknown", error: `JSON inválido: ${e.message}` };
+  }
+}
+
+// Diff entre dos KBs del servidor: chunks por id (doc::n) y documentos por hash
+export function diffChunks(a, b) {
+  const key = (c) => c.id || `${c.doc}::${c.chunkIndex}`;
+  const before = new Map((a.chunks || []).map((c) => [key(c), c]));
+  const after = new Map((b.chunks || []).map((c) => [key(c), c]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  for (const [id, c] of after) {
+    const old = before.get(id);
+    if (!old) {
+      added.push(id);
+      continue;
+    }
+    const fields = ["text", "pageStart", "pageEnd"].filter((k) => (old[k] ?? null) !== (c[k] ?? null));
+    if (fields.length) changed.push({ id, fields });
+  }
+  for (const id of before.keys()) {
+    if (!after.has(id)) removed.push(id);
+  }
+
+  const docsA = a.meta?.docs || {};
+  const docsB = b.meta?.docs || {};
+  const docs = {
+    added: Object.keys(docsB).filter((d) => !docsA[d]),
+    removed: Object.keys(docsA).filter((d) => !docsB[d]),
+    changed: Object.keys(docsB).filter((d) => docsA[d] && docsA[d].hash !== docsB[d].hash)
+  };
+
+  return { added, removed, changed, unchanged: after.size - added.length - changed.length, docs };
+}
+
+export function createBackupStore({ dir = path.resolve("backups"), env = process.env } = {}) {
+  const KEEP = intFrom(env.BACKUP_KEEP, 10, 1, 1000);
+  const MAX_DAYS = intFrom(env.BACKUP_MAX_DAYS, 0, 0, 3650);
+
+  function readManifest(versionDir) {
+    try {
+      const m = JSON.parse(fs.readFileSync(path.join(versionDir, MANIFEST), "utf8"));
+      return { ...m, restorable: m.meta?.kind !== "unknown", dir: versionDir };
+    } catch {
+      return null;
+    }
+  }
+
+  function names() {
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir, { withFileTypes: true })
+      .filter((d) => d.isDirectory())
+      .map((d) => d.name)
+      .sort();
+  }
+
+  // Versiones de una KB (o de todas), la más nueva primero
+  function list(name) {
+    if (!name) return names().flatMap((n) => list(n));
+    const base = path.join(dir, name);
+    if (!fs.existsSync(base)) return [];
+    return fs.readdirSync(base)
+      .map((id) => readManifest(path.join(base, id)))
+      .filter(Boolean)
+      .sort((x, y) => String(y.createdAt).localeCompare(String(x.createdAt)) || y.id.localeCompare(x.id));
+  }
+
+  // id exacto, "latest" (la más nueva) o un prefijo único ("20261019_14")
+  function get(name, id = "latest") {
+    const all = list(name);
+    if (id === "latest") return all[0] || null;
+    const exact = all.find((e) => e.id === id);
+    if (exact) return exact;
+    const byPrefix = all.filter((e) => e.id.startsWith(id));
+    return byPrefix.length === 1 ? byPrefix[0] : null;
+  }
+
+  function filePath(entry, fileName) {
+    return path.join(entry.dir, fileName);
+  }
+
+  // Borra lo que excede KEEP o BACKUP_MAX_DAYS (nunca la más nueva ni las "legacy");
+  // devuelve los ids borrados
+  function prune(name) {
+    const all = list(name).filter((e) => e.reason !== "legacy");
+    const cutoff = MAX_DAYS ? Date.now() - MAX_DAYS * 24 * 60 * 60 * 1000 : null;
+    const removed = [];
+    all.forEach((e, i) => {
+      if (i === 0) return;
+      const tooOld = cutoff != null && Date.parse(e.createdAt) < cutoff;
+      if (i < KEEP && !tooOld) return;
+      fs.rmSync(e.dir, { recursive: true, force: true });
+      removed.push(e.id);
+    });
+    return removed;
+  }
+
+  // files: rutas a respaldar, o { from, name } para guardarlas con otro nombre (las que no
+  // existen se omiten). opts.move: mueve en vez de copiar (para adoptar respaldos viejos);
+  // opts.createdAt: fecha de la versión (por defecto, ahora)
+  function save(name, files, { reason = "manual", createdAt = new Date(), move = false, prune: doPrune = true } = {}) {
+    const present = files
+      .map((f) => (typeof f === "string" ? { from: f, name: path.basename(f) } : f))
+      .filter((f) => f && f.from && fs.existsSync(f.from));
+    if (!present.length) return null;
+
+    let id = stampOf(createdAt);
+    for (let n = 2; fs.existsSync(path.join(dir, name, id)); n++) id = `${stampOf(createdAt)}_${n}`;
+    const versionDir = path.join(dir, name, id);
+    fs.mkdirSync(versionDir, { recursive: true });
+
+    const stored = present.map((f) => {
+      const target = path.join(versionDir, f.name);
+      if (move) fs.renameSync(f.from, target);
+      else fs.copyFileSync(f.from, target);
+      return { name: f.name, bytes: fs.statSync(target).size };
+    });
+
+    const json = stored.find((f) => f.name.endsWith(".json"));
+    const manifest = {
+      id,
+      name,
+      createdAt: createdAt.toISOString(),
+      reason,
+      files: stored,
+      meta: json ? summarizeFile(path.join(versionDir, json.name)) : null
+    };
+    fs.writeFileSync(path.join(versionDir, MANIFEST), JSON.stringify(manifest, null, 2), "utf8");
+
+    if (doPrune) prune(name);
+    return { ...manifest, restorable: manifest.meta?.kind !== "unknown", dir: versionDir };
+  }
+
+  // Rollback: respalda el estado actual (reason "rollback") y copia la versión elegida.
+  // targets: { "kb_udl.json": ruta destino, ... }; los archivos de la versión que no estén
+  // en targets se ignoran, y los destinos que la versión no trae se dejan como están.
+  function restore(name, id, targets) {
+    const entry = get(name, id);
+    if (!entry) throw new Error(`No existe el respaldo "${id}" de ${name}.`);
+    if (!entry.restorable) throw new Error(`El respaldo ${entry.id} no se puede restaurar (${entry.meta?.error || "formato desconocido"}).`);
+
+    const saved = save(name, Object.values(targets), { reason: "rollback", prune: false });
+    for (const f of entry.files) {
+      const to = targets[f.name];
+      if (to) copyAtomic(filePath(entry, f.name), to);
+    }
+    prune(name);
+    return { restored: entry, saved };
+  }
+
+  // Respaldos sueltos de antes (kb_udl_backup_<stamp>.json, kb.json.bak_<stamp>, kb_udl_old.json)
+  // -> se mueven a backups/ con reason "legacy"
+  function adopt(fromDir) {
+    const LEGACY = [
+      { re: /^(.+)_backup_(\d{8})_?(\d{6})\.(json|vec)$/, name: (m) => m[1], stamp: (m) => `${m[2]}_${m[3]}` },
+      { re: /^(.+)_backup_(\d{4}-\d{2}-\d{2}T[\d-]+Z)\.(json|vec)$/, name: (m) => m[1], stamp: (m) => m[2] },
+      { re: /^((.+)\.json)\.bak_(\d{8}_\d{6})(_\d+)?$/, name: (m) => m[2], stamp: (m) => m[3] + (m[4] || "") },
+      { re: /^(.+)_old\.json$/, name: (m) => m[1], stamp: () => null }
+    ];
+
+    const groups = new Map();
+    for (const f of fs.readdirSync(fromDir)) {
+      for (const rule of LEGACY) {
+        const m = f.match(rule.re);
+        if (!m) continue;
+        const key = `${rule.name(m)}|${rule.stamp(m) ?? f}`;
+        if (!groups.has(key)) groups.set(key, { name: rule.name(m), stamp: rule.stamp(m), files: [] });
+        groups.get(key).files.push(path.join(fromDir, f));
+        break;
+      }
+    }
+
+    const adopted = [];
+    for (const g of groups.values()) {
+      const when = parseStamp(g.stamp) || new Date(fs.statSync(g.files[0]).mtimeMs);
+      // dentro del respaldo, el archivo recupera el nombre de la KB (kb_udl.json, kb.json)
+      const files = g.files.map((f) => ({ from: f, name: normalizedName(g.name, f) }));
+      adopted.push(save(g.name, files, { reason: "legacy", createdAt: when, move: true, prune: false }));
+    }
+    for (const n of new Set(adopted.map((e) => e.name))) prune(n);
+    return adopted;
+  }
+
+  return { dir, KEEP, MAX_DAYS, names, list, get, filePath, save, prune, restore, adopt };
+}
+
+// "20251209_153746" | "2026-10-19T14-48-41-181Z" -> Date | null
+function parseStamp(stamp) {
+  if (!stamp) return null;
+  let m = stamp.match(/^(\d{4})(\d{2})(\d{2})_(\d{2})(\d{2})(\d{2})/);
+  if (m) return new Date(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +m[6]);
+  m = stamp.match(/^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z$/);
+  if (m) return new Date(`${m[1]}T${m[2]}:${m[3]}:${m[4]}.${m[5]}Z`);
+  return null;
+}
+
+function normalizedName(name, file) {
+  return file.endsWith(".vec") ? `${name}.vec` : `${name}.json`;
+}
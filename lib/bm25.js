@@ -0,0 +1,64 @@
+// lib/bm25.js (ESM)
+// Índice léxico BM25 (con plegado de tildes y stopwords de lib/text.js)
+// y fusión de rankings por Reciprocal Rank Fusion (RRF).
+
+import { tokenize, uniqueTokens } from "./text.js";
+
+const K1 = 1.2;
+const B = 0.75;
+
+// Frecuencias de términos de un chunk: se guardan en la KB junto al embedding
+export function termFreqs(text) {
+  const terms = Object.create(null);
+  const toks = tokenize(text);
+  for (const t of toks) terms[t] = (terms[t] || 0) + 1;
+  return { terms, termCount: toks.length };
+}
+
+// Estadísticas globales (df, largo promedio) sobre todos los chunks
+export function buildBM25Stats(items) {
+  const df = Object.create(null);
+  let totalLen = 0;
+  for (const it of items) {
+    totalLen += it.termCount || 0;
+    for (const t of Object.keys(it.terms || {})) df[t] = (df[t] || 0) + 1;
+  }
+  return {
+    N: items.length,
+    avgdl: items.length ? totalLen / items.length : 0,
+    df
+  };
+}
+
+// Devuelve un score BM25 por item (mismo orden que items)
+export function bm25Scores(stats, items, query) {
+  const qTok = uniqueTokens(query);
+  const idf = qTok.map(t => {
+    const n = Object.hasOwn(stats.df, t) ? stats.df[t] : 0;
+    return Math.log(1 + (stats.N - n + 0.5) / (n + 0.5));
+  });
+
+  return items.map(it => {
+    const terms = it.terms || {};
+    // hasOwn: los términos vienen de JSON y no deben chocar con Object.prototype
+    const norm = K1 * (1 - B + B * ((it.termCount || 0) / (stats.avgdl || 1)));
+    let s = 0;
+    qTok.forEach((t, i) => {
+      const tf = Object.hasOwn(terms, t) ? terms[t] : 0;
+      if (!tf) return;
+      s += idf[i] * (tf * (K1 + 1)) / (tf + norm);
+    });
+    return s;
+  });
+}
+
+// rankings: arrays de ids ordenados (mejor primero). Devuelve Map id -> score fusionado.
+export function reciprocalRankFusion(rankings, k = 60) {
+  const fused = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((id, rank) => {
+      fused.set(id, (fused.get(id) || 0) + 1 / (k + rank + 1));
+    });
+  }
+  return fused;
+}
@@ -0,0 +1,308 @@
+// lib/chunking.js (ESM)
+// Chunks por estructura: títulos -> secciones -> oraciones.
+//
+//   chunkByStructure(pages, chunkSizeChars, overlapChars)
+//   -> [{ text, pageStart, pageEnd, section, sectionPath, desafio_id?, objetivo_id?, objetivo_ids?,
+//         linea_id?, country? }]
+//
+// - Títulos reconocidos (al inicio de línea): "Desafío (estratégico) 2", "Objetivo 1.1",
+//   "Línea (de acción) 1.1.2", "País 1" (+ el país en la línea siguiente), "Texto 3",
+//   "Hallazgo 2", "I. INTRODUCCIÓN", "1) Contexto…" y los "#"… de Markdown (DOCX/HTML
+//   también llegan así, ver lib/extract.js). Las líneas del índice ("País 1 ....... 0") no cuentan.
+//   "Fuentes:", "Anexos", "Tabla resumen…" también abren sección: cierran el país o desafío anterior.
+// - country / desafio_id / objetivo_id salen solo de los títulos abiertos; un título de nivel 1
+//   los reinicia. objetivo_ids = objetivos UDALBA listados en el chunk ("6. Desarrollo de
+//   Infraestructura…", ver OBJECTIVES en lib/filters.js).
+// - Un chunk nunca mezcla secciones; se corta entre oraciones (solo una oración más larga
+//   que el chunk se parte, y entre palabras). El traslape también son oraciones completas.
+// - section = "Desafío 1 › Objetivo 1.1" (como source_section de los datasets); los chunks
+//   llevan la ruta al inicio del texto para que BM25 y embeddings la vean.
+
+import AlbabotFilters from "./filters.js";
+
+const { COUNTRIES, OBJECTIVES } = AlbabotFilters;
+
+const SENTENCE_END = /(?<=[.!?…])\s+(?=[¿¡"“(A-ZÁÉÍÓÚÑ0-9•-])/;
+const BULLET = /^[•▪●◦‣*–-]\s+/;
+const TOC_LINE = /\.{4,}|…{2,}/;
+const MAX_TITLE = 140;
+// Secciones de cierre: no pertenecen al país / desafío anterior
+const CLOSING = /^(?:Fuentes|Referencias(?:\s+bibliogr[aá]ficas)?|Bibliograf[ií]a|Anexos?|Conclusi[oó]n(?:es)?|Tabla\s+resumen\b.{0,120})\s*:?$/i;
+const STOPWORDS = new Set(["de", "del", "la", "las", "el", "los", "en", "y", "e", "a", "como"]);
+
+function clean(s) {
+  return String(s || "").replace(/\s+/g, " ").trim();
+}
+
+function shortTitle(s) {
+  const t = clean(s).replace(/[:.]$/, "");
+  return t.length > MAX_TITLE ? `${t.slice(0, MAX_TITLE - 1)}…` : t;
+}
+
+function words(s) {
+  return clean(s).toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/).filter(w => w && !STOPWORDS.has(w));
+}
+
+const OBJECTIVE_WORDS = new Map(Object.entries(OBJECTIVES).map(([n, name]) => [n, new Set(words(name))]));
+
+// "6.  Desarrollo  de  Infraestructura" -> "6" (o null): el número de un objetivo UDALBA
+// seguido de su nombre. Alguna de las dos primeras palabras tiene que ser del nombre, así
+// "6. Garantizar equidad…" (una lista cualquiera) no cuenta.
+export function objectiveItem(line) {
+  const m = clean(line).match(/^(\d{1,2})\.\s+([A-ZÁÉÍÓÚÑ].*)$/);
+  const known = m && OBJECTIVE_WORDS.get(m[1]);
+  if (!known) return null;
+  return words(m[2]).slice(0, 2).some(w => known.has(w)) ? m[1] : null;
+}
+
+function isCountryLine(line) {
+  const t = clean(line);
+  if (!t || t.length > 40 || /[.:;]$/.test(t)) return false;
+  return COUNTRIES.some(c => c.toLowerCase() === t.toLowerCase()) || /^[A-ZÁÉÍÓÚÑ][\wÁÉÍÓÚÑáéíóúñü ]+$/.test(t);
+}
+
+// Título de sección en una línea (o null). next = línea siguiente (para "País 1" + "Singapur").
+// { level, title, kind, id, country?, consumeNext? }
+export function detectHeading(line, next = "") {
+  const raw = clean(line);
+  if (!raw || raw.length > 200 || TOC_LINE.test(raw)) return null;
+
+  let m = raw.match(/^(#{1,6})\s+(.+)$/);
+  if (m) return { level: m[1].length, title: shortTitle(m[2]), kind: "heading", id: null, ...domainIds(m[2]) };
+
+  m = raw.match(/^Desaf[ií]o(?:\s+estrat[ée]gico)?\s+(\d{1,2})\b/);
+  if (m) return { level: 1, title: shortTitle(raw), kind: "desafio", id: m[1] };
+
+  m = raw.match(/^Objetivo(?:\s+estrat[ée]gico)?\s+(\d{1,2}(?:\.\d{1,2})?)(?![\d.]\d)/);
+  if (m && raw.length <= 160) return { level: 2, title: shortTitle(raw), kind: "objetivo", id: m[1] };
+
+  m = raw.match(/^L[ií]nea(?:\s+de\s+acci[oó]n)?\s+(\d{1,2}\.\d{1,2}\.\d{1,2})\b/);
+  if (m && raw.length <= 160) return { level: 3, title: shortTitle(raw), kind: "linea", id: m[1] };
+
+  m = raw.match(/^Pa[ií]s\s+(\d{1,2})\b\s*[:.–-]?\s*(.*)$/);
+  if (m) {
+    const inline = clean(m[2]);
+    if (inline && isCountryLine(inline)) return { level: 1, title: `País ${m[1]} ${inline}`, kind: "pais", id: m[1], country: inline };
+    if (!inline && isCountryLine(next)) {
+      return { level: 1, title: `País ${m[1]} ${clean(next)}`, kind: "pais", id: m[1], country: clean(next), consumeNext: true };
+    }
+    if (!inline) return { level: 1, title: `País ${m[1]}`, kind: "pais", id: m[1] };
+  }
+
+  m = raw.match(/^Texto\s+(\d{1,2})$/);
+  if (m) return { level: 1, title: raw, kind: "texto", id: m[1] };
+
+  m = raw.match(CLOSING);
+  if (m) return { level: 1, title: shortTitle(raw), kind: "seccion", id: null };
+
+  m = raw.match(/^Hallazgo\s+(\d{1,2})\b/);
+  if (m) return { level: 2, title: shortTitle(raw), kind: "hallazgo", id: m[1] };
+
+  // "II. ELEMENTOS CONTEXTUALES" (en mayúsculas)
+  m = raw.match(/^([IVX]{1,5})\.\s+(.{3,})$/);
+  if (m && m[2] === m[2].toUpperCase() && /[A-ZÁÉÍÓÚÑ]{3}/.test(m[2])) {
+    return { level: 1, title: shortTitle(raw), kind: "seccion", id: m[1] };
+  }
+
+  // "3) Principales hallazgos" (corto y sin punto final: no es un ítem de lista)
+  m = raw.match(/^(\d{1,2})\)\s+[A-ZÁÉÍÓÚÑ¿]/);
+  if (m && raw.length <= 90 && !/[.;,]$/.test(raw)) return { level: 1, title: shortTitle(raw), kind: "seccion", id: m[1], nested: true };
+
+  return null;
+}
+
+// Un título Markdown también puede nombrar un desafío / objetivo / país
+function domainIds(title) {
+  const h = detectHeading(clean(title));
+  if (!h || h.kind === "heading") return {};
+  return { kind: h.kind, id: h.id, ...(h.country ? { country: h.country } : {}) };
+}
+
+// Metadatos filtrables a partir de la ruta de títulos
+function pathMeta(stack) {
+  const meta = {};
+  for (const h of stack) {
+    if (h.kind === "desafio") meta.desafio_id = Number(h.id);
+    if (h.kind === "objetivo") {
+      meta.objetivo_id = h.id;
+      if (meta.desafio_id == null && h.id.includes(".")) meta.desafio_id = Number(h.id.split(".")[0]);
+    }
+    if (h.kind === "linea") meta.linea_id = h.id;
+    if (h.kind === "pais" && h.country) meta.country = h.country;
+  }
+  return meta;
+}
+
+// Encabezados / pies de página: líneas de los bordes de la página que se repiten en la
+// mitad de las páginas o más ("Universidad del Alba 7"); se comparan sin números
+function repeatedLines(pages) {
+  const key = (l) => clean(l).replace(/\d+/g, "#");
+  const counts = new Map();
+  for (const pg of pages) {
+    const lines = String(pg.text || "").split("\n").map(clean).filter(Boolean);
+    const edges = new Set([...lines.slice(0, 2), ...lines.slice(-2)].map(key));
+    edges.forEach(k => counts.set(k, (counts.get(k) || 0) + 1));
+  }
+  const min = Math.max(3, Math.ceil(pages.length / 2));
+  return new Set([...counts].filter(([, n]) => n >= min).map(([k]) => k));
+}
+
+// Páginas -> secciones: [{ stack: títulos abiertos, paragraphs: [{ text, marks, pageEnd, objetivo? }] }]
+function sectionsOf(pages) {
+  const noise = repeatedLines(pages);
+  const sections = [];
+  let stack = [];
+  let section = { stack, paragraphs: [] };
+  sections.push(section);
+  let para = null;
+
+  // marks: [[offset, página]] donde el párrafo cambia de página
+  const flush = () => {
+    if (para) section.paragraphs.push(para);
+    para = null;
+  };
+  const add = (line, page) => {
+    if (!para) {
+      para = { text: line, marks: [[0, page]], pageEnd: page };
+      return;
+    }
+    if (page !== para.pageEnd) para.marks.push([para.text.length, page]);
+    // "educa-" + "ción": se une sin guion
+    if (/[a-záéíóúñ]-$/i.test(para.text) && /^[a-záéíóúñ]/.test(line)) para.text = para.text.slice(0, -1) + line;
+    else para.text += ` ${line}`;
+    para.pageEnd = page;
+  };
+
+  for (const pg of pages) {
+    const lines = String(pg.text || "").replace(/\r\n?/g, "\n").split("\n");
+    // el párrafo sigue en la página siguiente si la anterior no terminó en punto
+    if (para && /[.!?:…"”)]$/.test(para.text.trim())) flush();
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = clean(lines[i]);
+      if (line && noise.has(line.replace(/\d+/g, "#"))) continue;
+      if (!line) {
+        // las líneas vacías al inicio de la página no cortan un párrafo que viene de la anterior
+        if (para && para.pageEnd === pg.page) flush();
+        continue;
+      }
+
+      let h = detectHeading(line, lines[i + 1]);
+      // "1) …" dentro de un país / desafío / texto es una subsección
+      if (h?.nested && stack.some(x => ["pais", "desafio", "texto"].includes(x.kind))) h = { ...h, level: 2 };
+      if (h) {
+        flush();
+        stack = stack.filter(x => x.level < h.level).concat(h);
+        section = { stack, paragraphs: [] };
+        sections.push(section);
+        if (h.consumeNext) i++;
+        continue;
+      }
+
+      const objetivo = objectiveItem(line);
+      if (objetivo || BULLET.test(line)) flush();
+      add(line, pg.page);
+      if (objetivo) para.objetivo = objetivo;
+    }
+  }
+  flush();
+  return sections;
+}
+
+// Párrafo -> oraciones con sus páginas (first: la oración abre el párrafo)
+function sentencesOf(p) {
+  const pageAt = (offset) => {
+    let page = p.marks[0][1];
+    for (const [o, pg] of p.marks) {
+      if (o > offset) break;
+      page = pg;
+    }
+    return page;
+  };
+
+  const out = [];
+  let start = 0;
+  const push = (end) => {
+    const text = p.text.slice(start, end).trim();
+    if (!text) return;
+    const u = { text, pageStart: pageAt(start), pageEnd: pageAt(Math.max(start, end - 1)), first: !out.length };
+    if (p.objetivo) u.objetivo = p.objetivo;
+    out.push(u);
+  };
+  for (const m of p.text.matchAll(new RegExp(SENTENCE_END.source, "g"))) {
+    push(m.index);
+    start = m.index + m[0].length;
+  }
+  push(p.text.length);
+  return out;
+}
+
+// Oración más larga que el chunk -> trozos entre palabras
+function splitLong(u, max) {
+  if (u.text.length <= max) return [u];
+  const out = [];
+  let cur = "";
+  for (const w of u.text.split(" ")) {
+    if (cur && cur.length + w.length + 1 > max) {
+      out.push({ ...u, text: cur, first: !out.length && u.first });
+      cur = w;
+    } else {
+      cur = cur ? `${cur} ${w}` : w;
+    }
+  }
+  if (cur) out.push({ ...u, text: cur, first: !out.length && u.first });
+  return out;
+}
+
+function pageRange(units) {
+  const starts = units.map(u => u.pageStart).filter(p => p != null);
+  const ends = units.map(u => u.pageEnd ?? u.pageStart).filter(p => p != null);
+  return {
+    pageStart: starts.length ? Math.min(...starts) : null,
+    pageEnd: ends.length ? Math.max(...ends) : null
+  };
+}
+
+export function chunkByStructure(pages, chunkSizeChars, overlapChars) {
+  const chunks = [];
+
+  for (const s of sectionsOf(pages)) {
+    const units = s.paragraphs.flatMap(sentencesOf).flatMap(u => splitLong(u, chunkSizeChars));
+    if (!units.length) continue;
+
+    const sectionPath = s.stack.map(h => h.title);
+    const section = sectionPath.join(" › ") || null;
+    const meta = pathMeta(s.stack);
+    // la ruta (títulos de arriba + el de la sección) encabeza cada chunk
+    const prefix = section ? `${section}\n` : "";
+
+    const emit = (list) => {
+      const body = list.map((u, i) => (i && u.first ? `\n${u.text}` : u.text)).join(" ").replace(/ \n/g, "\n");
+      const listed = [...new Set(list.map(u => u.objetivo).filter(Boolean))].sort((a, b) => a - b);
+      chunks.push({ text: prefix + body, ...pageRange(list), section, sectionPath, ...meta, ...(listed.length ? { objetivo_ids: listed } : {}) });
+    };
+
+    let cur = [];
+    let len = prefix.length;
+    for (const u of units) {
+      if (cur.length && len + u.text.length + 1 > chunkSizeChars) {
+        emit(cur);
+        // traslape: oraciones completas del final, hasta overlapChars
+        const tail = [];
+        let tailLen = 0;
+        for (let i = cur.length - 1; i > 0; i--) {
+          if (tailLen + cur[i].text.length + 1 > overlapChars) break;
+          tail.unshift(cur[i]);
+          tailLen += cur[i].text.length + 1;
+        }
+        cur = prefix.length + tailLen + u.text.length + 1 <= chunkSizeChars ? tail : [];
+        len = prefix.length + cur.reduce((acc, x) => acc + x.text.length + 1, 0);
+      }
+      cur.push(u);
+      len += u.text.length + 1;
+    }
+    if (cur.length) emit(cur);
+  }
+  return chunks;
+}
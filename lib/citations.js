@@ -0,0 +1,19 @@
+// lib/citations.js (ESM)
+// Formato de citas: [Documento | p. 16–19] (o [Documento | chunk N] si no hay páginas)
+
+export function pageLabel(c) {
+  if (c.pageStart == null) return null;
+  const end = c.pageEnd ?? c.pageStart;
+  return end === c.pageStart ? `p. ${c.pageStart}` : `p. ${c.pageStart}–${end}`;
+}
+
+export function citationLabel(c) {
+  return `[${c.doc} | ${pageLabel(c) || `chunk ${c.chunkIndex}`}]`;
+}
+
+// Enlace al PDF en la página inicial del chunk (el visor del navegador entiende #page=N)
+export function docUrl(c) {
+  const base = `./docs/${encodeURIComponent(c.doc)}`;
+  if (!/\.pdf$/i.test(c.doc) || c.pageStart == null) return base;
+  return `${base}#page=${c.pageStart}`;
+}
@@ -0,0 +1,87 @@
+// lib/conversation.js (ESM)
+// Memoria de conversación: sesiones en memoria con historial acotado
+// y reescritura de preguntas de seguimiento a consultas autónomas.
+
+import crypto from "crypto";
+import { tokenize, foldAccents } from "./text.js";
+
+// ---------- Sesiones ----------
+// maxTurns: mensajes (usuario + bot) que se conservan por sesión
+export function createSessionStore({ maxTurns = 12, ttlMs = 60 * 60 * 1000, maxSessions = 500 } = {}) {
+  const sessions = new Map();
+
+  function prune() {
+    const now = Date.now();
+    for (const [id, s] of sessions) {
+      if (now - s.updatedAt > ttlMs) sessions.delete(id);
+    }
+    // Map mantiene orden de inserción: los primeros son los más antiguos
+    while (sessions.size > maxSessions) {
+      sessions.delete(sessions.keys().next().value);
+    }
+  }
+
+  return {
+    // Devuelve la sesión pedida (si sigue viva) o crea una nueva
+    open(id) {
+      prune();
+      const key = typeof id === "string" && /^[\w-]{8,64}$/.test(id) ? id : null;
+      let s = key ? sessions.get(key) : null;
+      if (!s) {
+        s = { id: key || crypto.randomUUID(), turns: [], updatedAt: Date.now() };
+      }
+      // re-insertar la deja al final (más reciente)
+      sessions.delete(s.id);
+      sessions.set(s.id, s);
+      return s;
+    },
+
+    append(session, turn) {
+      session.turns.push({ ...turn, at: new Date().toISOString() });
+      if (session.turns.length > maxTurns) {
+        session.turns.splice(0, session.turns.length - maxTurns);
+      }
+      session.updatedAt = Date.now();
+    },
+
+    get size() {
+      return sessions.size;
+    }
+  };
+}
+
+// Historial como texto para los prompts (respuestas largas recortadas)
+export function formatHistory(turns, maxChars = 600) {
+  return turns
+    .map(t => {
+      const who = t.role === "user" ? "Usuario" : "Albito";
+      const text = t.content.length > maxChars ? t.content.slice(0, maxChars) + "…" : t.content;
+      return `${who}: ${text}`;
+    })
+    .join("\n");
+}
+
+// ---------- Condensación de la consulta ----------
+const FOLLOW_UP_START = /^(y|e|pero|entonces|tambien|ademas|ahora|o sea|que mas|y que|en cuanto a|respecto a|sobre eso)\b/;
+const DEICTIC = new Set(["eso", "esto", "ello", "ese", "esa", "esos", "esas", "aquel", "aquella", "anterior", "mismo", "misma", "dicho", "dicha"]);
+
+export function looksLikeFollowUp(question) {
+  const norm = foldAccents(question).replace(/[¿?¡!.,;:]/g, " ").replace(/\s+/g, " ").trim();
+  if (FOLLOW_UP_START.test(norm)) return true;
+  if (norm.split(" ").some(w => DEICTIC.has(w))) return true;
+  return tokenize(question).length <= 2;
+}
+
+// Versión sin LLM (modo local o si falla la reescritura): agrega a la pregunta
+// los términos de la consulta anterior que no menciona (sin números, para no
+// arrastrar "objetivo 1" a una pregunta sobre "objetivo 2").
+export function condenseHeuristic(history, question) {
+  const lastUser = [...history].reverse().find(t => t.role === "user");
+  if (!lastUser || !looksLikeFollowUp(question)) return question;
+
+  const own = new Set(tokenize(question));
+  const carry = [...new Set(tokenize(lastUser.query || lastUser.content))]
+    .filter(t => !own.has(t) && !/^\d/.test(t));
+
+  return carry.length ? `${question} ${carry.join(" ")}` : question;
+}
@@ -0,0 +1,354 @@
+// lib/datasets.js
+// Adaptador único de datasets -> modelo canónico de bloques.
+// Lo usan los tools (require), server.js (import) y chat.html (<script src>, window.AlbabotDatasets).
+//
+// Formatos que entiende:
+//   "qa-array"   [ {question, answer, variants, tags, ...} ]  (también {items|qa|qas|data: [...]})
+//   "preguntas"  { metadata?, preguntas: [ {pregunta, fuente: {documento, paginas, seccion}, objetivo_numero, ...} ] }
+//                (o un array de items con "pregunta", como preguntas_em09.json)
+//   "blocks"     { blocks: [ {id, title, text, source, page_start, ...} ] }  (kb.json, kb_udl*.json)
+//
+// Bloque canónico:
+//   { id, item_id, type: "qa"|"chunk", status: "answered"|"unanswered", dataset,
+//     title, question, answer, text, variants[], tags[],
+//     source, source_section, page_start, page_end,
+//     country, timeframe, audience[], category, topic,
+//     objetivo_numero, objetivo_id, objetivo_nombre, desafio_id, desafio_titulo,
+//     autor, anio, texto_fuente, orientacion, review_status, extra }
+//
+// Formato único de KB (lo escribe tools/albabot-kb.js):
+//   { format: "albabot-kb", version: 2, kb_id, createdAt, updatedAt, sources: [...], blocks: [bloques canónicos] }
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AlbabotDatasets = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Claves que el adaptador consume (el resto se conserva en block.extra)
+  const KNOWN = new Set([
+    "id", "question", "q", "pregunta", "answer", "answer...", "a", "respuesta",
+    "variants", "variantes", "tags", "etiquetas", "keywords", "subtemas", "subtema",
+    "doc", "document", "documento", "source_doc", "sourceDoc", "source", "fuente",
+    "source_section", "section", "seccion", "page_start", "page_end", "p", "page", "pages", "pagina", "paginas",
+    "country", "pais", "timeframe", "periodo", "audience", "publico", "categoria", "category",
+    "tema", "tema_principal", "topic", "objetivo_numero", "objetivo_id", "objetivo_nombre", "objetivo_titulo",
+    "desafio_id", "desafio_titulo", "autor", "anio", "texto", "texto_fuente", "texto_id",
+    "orientacion_respuesta", "orientacion", "title", "text", "meta", "type", "status", "dataset", "extra", "item_id", "_qa_meta",
+    "review_status"
+  ]);
+
+  function pick(obj, keys) {
+    for (const k of keys) {
+      if (obj && obj[k] !== undefined && obj[k] !== null && obj[k] !== "") return obj[k];
+    }
+    return undefined;
+  }
+
+  function str(v) {
+    return v === undefined || v === null ? "" : String(v).replace(/\r\n/g, "\n").trim();
+  }
+
+  function strOrNull(v) {
+    const s = str(v);
+    return s || null;
+  }
+
+  function list(v) {
+    if (Array.isArray(v)) return v.map(str).filter(Boolean);
+    if (typeof v === "string") return v.split(",").map(s => s.trim()).filter(Boolean);
+    return [];
+  }
+
+  function numOrNull(v) {
+    if (v === undefined || v === null || v === "") return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  // "16-19", "16–19", "p. 7", 33 -> { start, end }
+  function parsePages(v) {
+    if (v === undefined || v === null || v === "") return { start: null, end: null };
+    if (typeof v === "number") return { start: v, end: v };
+    const m = String(v).match(/(\d+)\s*(?:[-–—]|a)?\s*(\d+)?/);
+    if (!m) return { start: null, end: null };
+    const start = Number(m[1]);
+    const end = m[2] ? Number(m[2]) : start;
+    return { start, end };
+  }
+
+  // "Q: ...\n\nA: ..." -> { q, a }
+  function splitQA(text) {
+    const raw = str(text);
+    const idx = raw.search(/(^|\n)\s*(A|Respuesta):\s*/i);
+    if (idx === -1 || !/^\s*(Q|Pregunta):/i.test(raw)) return { q: "", a: "" };
+    const qPart = raw.slice(0, idx).replace(/^\s*(Q|Pregunta):\s*/i, "");
+    const aPart = raw.slice(idx).replace(/^\s*(A|Respuesta):\s*/i, "");
+    // corta metadatos que algunos builders agregan después de la respuesta
+    const stop = aPart.search(/\n\s*(Variantes|Meta|Tags|Fuente|Documento|Sección)\b.*:/i);
+    return {
+      q: qPart.split(/\n\s*(Variantes|Tags)\b/i)[0].trim(),
+      a: (stop === -1 ? aPart : aPart.slice(0, stop)).trim()
+    };
+  }
+
+  function padId(id) {
+    return typeof id === "number" ? String(id).padStart(3, "0") : str(id);
+  }
+
+  function stripJsonExt(name) {
+    return str(name).replace(/^.*[\\/]/, "").replace(/\.json$/i, "");
+  }
+
+  function parseJsonText(raw) {
+    return JSON.parse(String(raw).replace(/^\uFEFF/, ""));
+  }
+
+  function detectShape(json) {
+    if (json && !Array.isArray(json) && Array.isArray(json.blocks)) return "blocks";
+    if (json && !Array.isArray(json) && Array.isArray(json.preguntas)) return "preguntas";
+    const arr = itemsOf(json);
+    if (!arr) return "unknown";
+    const sample = arr.find(x => x && typeof x === "object");
+    if (sample && sample.pregunta !== undefined && sample.question === undefined) return "preguntas";
+    return "qa-array";
+  }
+
+  function itemsOf(json) {
+    if (Array.isArray(json)) return json;
+    if (!json || typeof json !== "object") return null;
+    for (const k of ["preguntas", "blocks", "items", "qas", "qa", "data"]) {
+      if (Array.isArray(json[k])) return json[k];
+    }
+    return null;
+  }
+
+  // Valores por defecto del archivo (metadata.documento, fuente raíz, etc.)
+  function rootDefaults(json) {
+    if (!json || Array.isArray(json)) return {};
+    const m = json.metadata || {};
+    return {
+      source: strOrNull(pick(m, ["documento", "fuente_documento"]) || (typeof json.fuente === "string" ? json.fuente : null)),
+      version: strOrNull(pick(m, ["version", "dataset_id"]))
+    };
+  }
+
+  function extraOf(item) {
+    const extra = Object.assign({}, item.extra);
+    for (const k of Object.keys(item)) {
+      if (!KNOWN.has(k)) extra[k] = item[k];
+    }
+    return Object.keys(extra).length ? extra : null;
+  }
+
+  function toBlock(item, idx, ctx) {
+    if (!item || typeof item !== "object") return null;
+
+    const meta = item.meta && typeof item.meta === "object" ? item.meta : {};
+    const fuente = item.fuente && typeof item.fuente === "object" ? item.fuente : {};
+    const isBlock = ctx.shape === "blocks";
+
+    let question = str(pick(item, ["question", "q", "pregunta"]));
+    let answer = str(pick(item, ["answer", "answer...", "a", "respuesta"]));
+    let type = "qa";
+
+    if (isBlock && !question && !answer) {
+      const qa = splitQA(item.text);
+      if (qa.q || qa.a) {
+        question = qa.q || str(item.title);
+        answer = qa.a;
+      } else {
+        type = "chunk";
+      }
+    }
+
+    const title = str(pick(item, ["title"])) || question;
+    const body = type === "chunk" ? str(item.text) : answer;
+    if (!title && !body && !question) return null;
+
+    const pages = item.page_start != null
+      ? { start: numOrNull(item.page_start), end: numOrNull(item.page_end ?? item.page_start) }
+      : parsePages(pick(fuente, ["paginas", "pagina"]) ?? pick(item, ["paginas", "pagina", "pages", "page"]));
+
+    const source = strOrNull(
+      pick(item, ["doc", "document", "documento", "source_doc", "sourceDoc", "source"]) ||
+      (typeof item.fuente === "string" ? item.fuente : pick(fuente, ["documento"])) ||
+      ctx.defaults.source
+    ) || ctx.dataset;
+
+    const tags = [...new Set([
+      ...list(pick(item, ["tags", "etiquetas", "keywords"])),
+      ...list(item.subtemas),
+      ...list(item.subtema)
+    ])];
+
+    const text = type === "chunk"
+      ? body
+      : [question, answer].filter(Boolean).join("\n\n");
+
+    const rawId = item.id ?? (idx + 1);
+
+    return {
+      id: isBlock && item.id ? str(item.id) : `${ctx.dataset}__${padId(rawId)}`,
+      // id original dentro del dataset (para escribir de vuelta respuestas, evaluar, etc.)
+      item_id: isBlock ? (item.item_id ?? null) : rawId,
+      type,
+      status: type === "chunk" || answer ? "answered" : "unanswered",
+      dataset: str(item.dataset || meta.base) || ctx.dataset,
+      title,
+      question: type === "qa" ? question : null,
+      answer: type === "qa" ? (answer || null) : null,
+      text,
+      variants: list(pick(item, ["variants", "variantes"])),
+      tags,
+      source,
+      source_section: strOrNull(pick(item, ["source_section", "section", "seccion"]) || pick(fuente, ["seccion"]) || meta.section),
+      page_start: pages.start,
+      page_end: pages.end,
+      country: strOrNull(pick(item, ["country", "pais"]) || meta.country),
+      timeframe: strOrNull(pick(item, ["timeframe", "periodo"]) || meta.timeframe),
+      audience: list(pick(item, ["audience", "publico"]) || meta.audience),
+      category: strOrNull(pick(item, ["categoria", "category"])),
+      topic: strOrNull(pick(item, ["tema_principal", "tema", "topic"])),
+      objetivo_numero: numOrNull(item.objetivo_numero),
+      objetivo_id: strOrNull(item.objetivo_id),
+      objetivo_nombre: strOrNull(pick(item, ["objetivo_nombre", "objetivo_titulo"])),
+      desafio_id: numOrNull(item.desafio_id),
+      desafio_titulo: strOrNull(item.desafio_titulo),
+      autor: strOrNull(item.autor),
+      anio: numOrNull(item.anio),
+      texto_fuente: strOrNull(pick(item, ["texto_fuente"]) || (ctx.shape === "preguntas" ? item.texto : null)),
+      orientacion: item.orientacion_respuesta ?? item.orientacion ?? null,
+      // respuestas generadas: "pending" | "approved" | "rejected" (null = dataset curado a mano)
+      review_status: strOrNull(item.review_status || meta.review_status),
+      extra: extraOf(item)
+    };
+  }
+
+  // json: contenido del archivo; opts.dataset: nombre base (p. ej. "preguntas_em09")
+  function toBlocks(json, opts) {
+    const o = opts || {};
+    const shape = detectShape(json);
+    const arr = itemsOf(json);
+    if (!arr || shape === "unknown") return [];
+
+    const ctx = {
+      shape,
+      dataset: stripJsonExt(o.dataset || "dataset"),
+      defaults: Object.assign(rootDefaults(json), o.source ? { source: o.source } : {})
+    };
+
+    const out = [];
+    arr.forEach((item, idx) => {
+      const b = toBlock(item, idx, ctx);
+      if (b) out.push(b);
+    });
+    return out;
+  }
+
+  // ---------- KB versionada ----------
+  const KB_FORMAT = "albabot-kb";
+  const KB_VERSION = 2;
+
+  function isKB(json) {
+    return !!json && json.format === KB_FORMAT && Array.isArray(json.blocks);
+  }
+
+  function createKB(blocks, opts) {
+    const o = opts || {};
+    const now = new Date().toISOString();
+    return {
+      format: KB_FORMAT,
+      version: KB_VERSION,
+      kb_id: o.kbId || "udalba_jornada_directiva",
+      createdAt: o.createdAt || now,
+      updatedAt: now,
+      sources: summarizeSources(blocks),
+      blocks
+    };
+  }
+
+  // Cualquier KB antigua (array, {blocks}, {kb_id, blocks}) -> KB versionada
+  function asKB(json, opts) {
+    if (isKB(json)) return json;
+    const o = opts || {};
+    const blocks = toBlocks(Array.isArray(json) ? { blocks: json } : json, { dataset: o.dataset || "kb" });
+    return createKB(blocks, {
+      kbId: (json && json.kb_id) || o.kbId,
+      createdAt: json && (json.createdAt || json.created) ? String(json.createdAt || json.created) : undefined
+    });
+  }
+
+  function summarizeSources(blocks) {
+    const by = new Map();
+    for (const b of blocks) {
+      const s = by.get(b.dataset) || { dataset: b.dataset, blocks: 0, answered: 0 };
+      s.blocks++;
+      if (isAnswered(b)) s.answered++;
+      by.set(b.dataset, s);
+    }
+    return [...by.values()];
+  }
+
+  // Una respuesta rechazada en revisión no cuenta como respondida
+  function isAnswered(b) {
+    return b.status === "answered" && b.review_status !== "rejected";
+  }
+
+  // Dedupe por (pregunta|título + respuesta|texto) normalizados
+  function dedupeBlocks(blocks) {
+    const seen = new Set();
+    const out = [];
+    for (const b of blocks) {
+      const key = normKey((b.question || b.title) + "\n" + (b.answer || b.text));
+      if (seen.has(key)) continue;
+      seen.add(key);
+      out.push(b);
+    }
+    return out;
+  }
+
+  // Correcciones aceptadas en la revisión (lib/feedback.js: correcciones_QA.json)
+  function isCorrection(b) {
+    return Boolean(b.extra && b.extra.feedback_id) || (b.tags || []).includes("corrección");
+  }
+
+  // La corrección manda: saca los bloques con la misma pregunta (o una de sus variantes).
+  // Entre correcciones de la misma pregunta queda la última.
+  function applyCorrections(blocks) {
+    const corrected = new Map();
+    blocks.forEach((b, i) => {
+      if (!isCorrection(b) || !b.question) return;
+      for (const q of [b.question].concat(b.variants || [])) corrected.set(normKey(q), i);
+    });
+    if (!corrected.size) return blocks;
+    return blocks.filter((b, i) => {
+      if (!b.question) return true;
+      const last = corrected.get(normKey(b.question));
+      return last == null || last === i;
+    });
+  }
+
+  function normKey(s) {
+    return str(s).toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "").replace(/\s+/g, " ");
+  }
+
+  return {
+    KB_FORMAT,
+    KB_VERSION,
+    detectShape,
+    toBlocks,
+    isKB,
+    createKB,
+    asKB,
+    summarizeSources,
+    isAnswered,
+    isCorrection,
+    applyCorrections,
+    dedupeBlocks,
+    parseJsonText,
+    parsePages,
+    splitQA,
+    normKey
+  };
+});
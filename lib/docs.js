@@ -0,0 +1,253 @@
+// lib/docs.js (ESM)
+// Documentos de docs/ (los que indexa el RAG) y su ficha para la portada (index.html).
+//
+//   docs/<archivo>.pdf|.docx|.html|.csv|.txt|.md   los documentos (ver DOC_TYPES)
+//   docs/docs.json                fichas en orden: { docs: [{ file, title, icon, description }] }
+//
+//   const store = createDocStore({ docsDir: "docs" });
+//   await store.save("Plan 2026.pdf", buffer);                   -> sube (409 si ya existe)
+//   await store.save("Plan 2026.pdf", buffer, { replace: true }); -> reemplaza (404 si no existe)
+//   await store.rename("Plan 2026.pdf", "Plan.pdf");
+//   await store.setMeta("Plan.pdf", { title, icon, description });
+//   await store.remove("Plan.pdf");
+//
+// Los errores traen .status (400/404/409/413) para responderlos tal cual desde las rutas.
+// Reemplazar o borrar deja el archivo anterior en backups/docs/ (lib/backups.js).
+// Tamaño máximo por archivo: DOC_MAX_MB (25).
+
+import fs from "fs";
+import fsp from "fs/promises";
+import crypto from "crypto";
+import path from "path";
+
+export const CATALOG = "docs.json";
+
+// Extensiones que se indexan (el texto lo sacan rag.js y lib/extract.js);
+// sniff revisa que el contenido coincida con la extensión
+export const DOC_TYPES = {
+  ".pdf": { label: "PDF", sniff: (buf) => buf.subarray(0, 5).toString("latin1") === "%PDF-" },
+  ".docx": { label: "DOCX", sniff: (buf) => buf.subarray(0, 4).toString("latin1") === "PK\x03\x04" && buf.includes("word/document.xml") },
+  ".html": { label: "HTML", sniff: isHtml },
+  ".htm": { label: "HTML", sniff: isHtml },
+  ".csv": { label: "CSV", sniff: (buf) => !buf.includes(0) },
+  ".txt": { label: "TXT", sniff: isText },
+  ".md": { label: "MD", sniff: isText }
+};
+
+// Íconos que sabe dibujar index.html
+export const ICONS = ["doc", "globe", "chat"];
+
+const META_LIMITS = { title: 160, description: 300 };
+
+function docError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function isText(buf) {
+  if (buf.includes(0)) return false;
+  try {
+    new TextDecoder("utf-8", { fatal: true }).decode(buf);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+function isHtml(buf) {
+  return !buf.includes(0) && /<(!doctype|html|head|body|table|p|div|h[1-6])\b/i.test(buf.subarray(0, 4096).toString("latin1"));
+}
+
+export function docType(name) {
+  return DOC_TYPES[path.extname(name).toLowerCase()] || null;
+}
+
+// Nombre de archivo válido dentro de docs/ (sin rutas, sin ocultos, con extensión soportada)
+export function checkDocName(name) {
+  const n = String(name ?? "").normalize("NFC").trim();
+  if (!n) throw docError(400, "Falta el nombre del documento.");
+  if (n.length > 180) throw docError(400, "El nombre del documento es demasiado largo (máx. 180).");
+  if (/[\\/]/.test(n) || n.startsWith(".") || /[\u0000-\u001f\u007f]/.test(n)) {
+    throw docError(400, `Nombre de documento inválido: "${n}".`);
+  }
+  if (!docType(n)) {
+    throw docError(400, `Tipo no soportado: "${n}" (${Object.keys(DOC_TYPES).join(", ")}).`);
+  }
+  return n;
+}
+
+function defaultTitle(name) {
+  return path.basename(name, path.extname(name)).replace(/[_]+/g, " ").trim();
+}
+
+export function createDocStore({ docsDir = path.resolve("docs"), backups = null, env = process.env } = {}) {
+  const MAX_MB = Math.max(1, Math.min(500, Number(env.DOC_MAX_MB) || 25));
+  const MAX_BYTES = MAX_MB * 1024 * 1024;
+  const CATALOG_PATH = path.join(docsDir, CATALOG);
+
+  // las operaciones que tocan docs/ y docs.json van de a una
+  let chain = Promise.resolve();
+  function serial(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  function fullPath(name) {
+    return path.join(docsDir, name);
+  }
+
+  function readCatalog() {
+    try {
+      const json = JSON.parse(fs.readFileSync(CATALOG_PATH, "utf8"));
+      return Array.isArray(json.docs) ? json.docs.filter((d) => d && d.file) : [];
+    } catch {
+      return [];
+    }
+  }
+
+  async function writeCatalog(entries) {
+    await fsp.mkdir(docsDir, { recursive: true });
+    const tmp = `${CATALOG_PATH}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify({ docs: entries }, null, 2) + "\n", "utf8");
+    await fsp.rename(tmp, CATALOG_PATH);
+  }
+
+  function withDefaults(name, entry) {
+    return {
+      file: name,
+      title: entry?.title || defaultTitle(name),
+      icon: ICONS.includes(entry?.icon) ? entry.icon : "doc",
+      description: entry?.description || ""
+    };
+  }
+
+  // Documentos en disco con su ficha: primero en el orden de docs.json, luego el resto (A-Z)
+  async function list() {
+    await fsp.mkdir(docsDir, { recursive: true });
+    const files = new Map();
+    for (const name of await fsp.readdir(docsDir)) {
+      if (name.startsWith(".") || !docType(name)) continue;
+      const st = await fsp.stat(fullPath(name));
+      if (st.isFile()) files.set(name, st);
+    }
+
+    const catalog = readCatalog().filter((e) => files.has(e.file));
+    const listed = new Set(catalog.map((e) => e.file));
+    const rest = [...files.keys()].filter((n) => !listed.has(n)).sort((a, b) => a.localeCompare(b));
+
+    return [...catalog.map((e) => e.file), ...rest].map((name) => {
+      const st = files.get(name);
+      return {
+        ...withDefaults(name, catalog.find((e) => e.file === name)),
+        type: docType(name).label,
+        size: st.size,
+        mtimeMs: st.mtimeMs
+      };
+    });
+  }
+
+  async function get(name) {
+    return (await list()).find((d) => d.file === name) || null;
+  }
+
+  function checkContent(name, buf) {
+    if (!Buffer.isBuffer(buf) || !buf.length) throw docError(400, "El archivo está vacío.");
+    if (buf.length > MAX_BYTES) throw docError(413, `El archivo supera ${MAX_MB} MB.`);
+    if (!docType(name).sniff(buf)) {
+      throw docError(400, `El contenido de "${name}" no corresponde a un ${docType(name).label}.`);
+    }
+  }
+
+  // Sube un documento nuevo o reemplaza uno existente ({ replace: true }).
+  // Se escribe a un temporal oculto (listDocs lo ignora) y se renombra.
+  async function save(name, buf, { replace = false, meta = null } = {}) {
+    const n = checkDocName(name);
+    checkContent(n, buf);
+    return serial(async () => {
+      const full = fullPath(n);
+      const exists = fs.existsSync(full);
+      if (exists && !replace) throw docError(409, `Ya existe "${n}" (usa reemplazar).`);
+      if (!exists && replace) throw docError(404, `No existe "${n}".`);
+
+      await fsp.mkdir(docsDir, { recursive: true });
+      if (exists) backups?.save("docs", [full], { reason: "replace" });
+      const tmp = fullPath(`.upload-${crypto.randomBytes(6).toString("hex")}.tmp`);
+      await fsp.writeFile(tmp, buf);
+      await fsp.rename(tmp, full);
+
+      const catalog = readCatalog();
+      const i = catalog.findIndex((e) => e.file === n);
+      const entry = withDefaults(n, { ...(i >= 0 ? catalog[i] : null), ...cleanMeta(meta || {}) });
+      if (i >= 0) catalog[i] = entry;
+      else catalog.push(entry);
+      await writeCatalog(catalog);
+      return { ...entry, created: !exists };
+    });
+  }
+
+  async function rename(from, to) {
+    const a = checkDocName(from);
+    const b = checkDocName(to);
+    return serial(async () => {
+      if (!fs.existsSync(fullPath(a))) throw docError(404, `No existe "${a}".`);
+      if (a === b) return withDefaults(b, readCatalog().find((e) => e.file === b));
+      if (fs.existsSync(fullPath(b))) throw docError(409, `Ya existe "${b}".`);
+      if (path.extname(a).toLowerCase() !== path.extname(b).toLowerCase()) {
+        throw docError(400, "Renombrar no puede cambiar la extensión del documento.");
+      }
+
+      await fsp.rename(fullPath(a), fullPath(b));
+      const catalog = readCatalog();
+      const entry = catalog.find((e) => e.file === a);
+      if (entry) entry.file = b;
+      await writeCatalog(catalog);
+      return withDefaults(b, entry);
+    });
+  }
+
+  async function remove(name) {
+    const n = checkDocName(name);
+    return serial(async () => {
+      const full = fullPath(n);
+      if (!fs.existsSync(full)) throw docError(404, `No existe "${n}".`);
+      // con respaldo, el archivo se mueve a backups/docs/; sin respaldo se borra
+      const saved = backups ? backups.save("docs", [full], { reason: "delete", move: true }) : null;
+      if (!saved) await fsp.unlink(full);
+      await writeCatalog(readCatalog().filter((e) => e.file !== n));
+      return { file: n, backup: saved?.id || null };
+    });
+  }
+
+  // Solo title, icon y description; "" vuelve al valor por defecto
+  function cleanMeta(patch) {
+    const out = {};
+    for (const key of ["title", "description"]) {
+      if (patch[key] === undefined) continue;
+      const v = String(patch[key] ?? "").trim();
+      if (v.length > META_LIMITS[key]) throw docError(400, `${key} es demasiado largo (máx. ${META_LIMITS[key]}).`);
+      out[key] = v;
+    }
+    if (patch.icon !== undefined && patch.icon !== "") {
+      if (!ICONS.includes(patch.icon)) throw docError(400, `Ícono inválido: "${patch.icon}" (${ICONS.join(", ")}).`);
+      out.icon = patch.icon;
+    }
+    return out;
+  }
+
+  async function setMeta(name, patch = {}) {
+    const n = checkDocName(name);
+    const meta = cleanMeta(patch);
+    return serial(async () => {
+      if (!fs.existsSync(fullPath(n))) throw docError(404, `No existe "${n}".`);
+      const catalog = readCatalog();
+      const i = catalog.findIndex((e) => e.file === n);
+      const entry = withDefaults(n, { ...(i >= 0 ? catalog[i] : null), ...meta });
+      if (i >= 0) catalog[i] = entry;
+      else catalog.push(entry);
+      await writeCatalog(catalog);
+      return entry;
+    });
+  }
+
+  return { docsDir, MAX_BYTES, MAX_MB, list, get, save, rename, remove, setMeta };
+}
@@ -0,0 +1,304 @@
+// lib/extract.js (ESM)
+// Texto y tablas de los documentos que no son PDF (el PDF lo lee rag.js con pdf-parse).
+//
+//   extractDoc(buf, ".docx", { name: "Taller 2045.docx" })
+//   -> { pages: [{ page: null, text }], tables: [{ name, columns, rows }] }
+//
+// - .txt / .md: texto tal cual.
+// - .docx: word/document.xml (ZIP leído con zlib, sin dependencias); los títulos de Word
+//   (Heading/Título N) pasan a "## Título" como en Markdown.
+// - .html / .htm: sin scripts ni estilos; <h1>-<h6> -> "#", <li> -> "- ".
+// - .csv: separador , ; o tab (el que más aparezca en la primera fila); UTF-8 o Windows-1252
+//   (lo que exporta Excel).
+//
+// Las tablas (CSV completo, <table> de HTML, tablas de Word) no se aplanan al texto: cada
+// fila se convierte en un chunk propio con tableRowChunks() ("Autor: … / Objetivo: …").
+
+import zlib from "zlib";
+import path from "path";
+
+// ---------- Decodificación ----------
+function decodeText(buf, fallback = "windows-1252") {
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf).replace(/^\uFEFF/, "");
+  } catch {
+    return new TextDecoder(fallback).decode(buf);
+  }
+}
+
+const ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " ",
+  aacute: "á", eacute: "é", iacute: "í", oacute: "ó", uacute: "ú", uuml: "ü", ntilde: "ñ",
+  Aacute: "Á", Eacute: "É", Iacute: "Í", Oacute: "Ó", Uacute: "Ú", Uuml: "Ü", Ntilde: "Ñ",
+  iexcl: "¡", iquest: "¿", laquo: "«", raquo: "»", ordf: "ª", ordm: "º", deg: "°",
+  ndash: "–", mdash: "—", hellip: "…", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”", bull: "•", middot: "·"
+};
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === "#") {
+      const code = e[1] === "x" || e[1] === "X" ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e] ?? m;
+  });
+}
+
+function cleanCell(s) {
+  return String(s ?? "").replace(/\s+/g, " ").trim();
+}
+
+// ---------- ZIP (solo lectura de una entrada: lo justo para .docx) ----------
+export function unzipEntry(buf, wanted) {
+  // fin del directorio central: firma PK\x05\x06 en los últimos ~64 KB
+  let eocd = -1;
+  for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+    if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error("El archivo no es un ZIP válido.");
+
+  const count = buf.readUInt16LE(eocd + 10);
+  let p = buf.readUInt32LE(eocd + 16);
+  for (let n = 0; n < count && p + 46 <= buf.length; n++) {
+    if (buf.readUInt32LE(p) !== 0x02014b50) break;
+    const method = buf.readUInt16LE(p + 10);
+    const compSize = buf.readUInt32LE(p + 20);
+    const nameLen = buf.readUInt16LE(p + 28);
+    const extraLen = buf.readUInt16LE(p + 30);
+    const commentLen = buf.readUInt16LE(p + 32);
+    const local = buf.readUInt32LE(p + 42);
+    const name = buf.toString("utf8", p + 46, p + 46 + nameLen);
+
+    if (name === wanted) {
+      const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+      const data = buf.subarray(start, start + compSize);
+      if (method === 0) return data;
+      if (method === 8) return zlib.inflateRawSync(data);
+      throw new Error(`Compresión ZIP no soportada (${method}) en ${wanted}.`);
+    }
+    p += 46 + nameLen + extraLen + commentLen;
+  }
+  return null;
+}
+
+// ---------- DOCX ----------
+// "Heading2" / "Ttulo2" (Word en español) / "Title" -> nivel del título
+function headingLevel(style) {
+  if (!style) return 0;
+  if (/^(title|t[ií]?tulo)$/i.test(style)) return 1;
+  const m = style.match(/^(?:heading|t[ií]?tulo)\s*(\d)$/i);
+  return m ? Number(m[1]) : 0;
+}
+
+function docxBlocks(xml) {
+  const TOKEN = /<(\/?)(w:p|w:tbl|w:tr|w:tc|w:t|w:tab|w:br|w:cr|w:pStyle)\b([^>]*?)(\/?)>|([^<]+)/g;
+  const blocks = []; // { type: "p", text, level } | { type: "table", rows }
+  const tables = []; // pila (tablas anidadas)
+  let para = null;
+  let style = null;
+  let inText = false;
+
+  for (const m of xml.matchAll(TOKEN)) {
+    const [, close, tag, attrs, selfClose, text] = m;
+    if (text !== undefined) {
+      if (inText && para !== null) para += decodeEntities(text);
+      continue;
+    }
+    const top = tables[tables.length - 1];
+
+    if (tag === "w:t") inText = !close && !selfClose;
+    else if (tag === "w:tab" && para !== null) para += "\t";
+    else if ((tag === "w:br" || tag === "w:cr") && para !== null) para += "\n";
+    else if (tag === "w:pStyle") style = (attrs.match(/w:val="([^"]*)"/) || [])[1] || null;
+    else if (tag === "w:p" && !close && !selfClose) {
+      para = "";
+      style = null;
+    } else if (tag === "w:p" && close) {
+      if (top?.cell) top.cell.push(para);
+      else blocks.push({ type: "p", text: para, level: headingLevel(style) });
+      para = null;
+    } else if (tag === "w:tbl" && !close) tables.push({ rows: [], row: null, cell: null });
+    else if (tag === "w:tbl" && close) {
+      const t = tables.pop();
+      const parent = tables[tables.length - 1];
+      // una tabla dentro de otra se aplana en la celda que la contiene
+      if (parent?.cell) parent.cell.push(t.rows.map(r => r.join(" | ")).join("\n"));
+      else blocks.push({ type: "table", rows: t.rows });
+    } else if (tag === "w:tr" && top) {
+      if (!close) top.row = [];
+      else { top.rows.push(top.row || []); top.row = null; }
+    } else if (tag === "w:tc" && top) {
+      if (!close) top.cell = [];
+      else { top.row?.push(cleanCell((top.cell || []).join("\n"))); top.cell = null; }
+    }
+  }
+  return blocks;
+}
+
+function extractDocx(buf, name) {
+  const xml = unzipEntry(buf, "word/document.xml");
+  if (!xml) throw new Error(`${name}: no trae word/document.xml (¿es un .docx?).`);
+
+  const paragraphs = [];
+  const tables = [];
+  let lastHeading = null;
+  for (const b of docxBlocks(xml.toString("utf8"))) {
+    if (b.type === "table") {
+      const t = asTable(b.rows, lastHeading || `Tabla ${tables.length + 1}`);
+      if (t) tables.push(t);
+      else paragraphs.push(b.rows.map(r => r.filter(Boolean).join(" | ")).join("\n"));
+      continue;
+    }
+    const text = b.text.trim();
+    if (!text) continue;
+    if (b.level) {
+      lastHeading = text;
+      paragraphs.push(`${"#".repeat(Math.min(b.level, 6))} ${text}`);
+    } else {
+      paragraphs.push(text);
+    }
+  }
+  return { pages: [{ page: null, text: paragraphs.join("\n\n") }], tables };
+}
+
+// ---------- HTML ----------
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<h([1-6])\b[^>]*>([\s\S]*?)<\/h\1>/gi, (m, n, inner) =>
+        `\n\n${"#".repeat(Number(n))} ${inner.replace(/<[^>]+>/g, " ").replace(/\s+/g, " ").trim()}\n\n`)
+      .replace(/<li\b[^>]*>/gi, "\n- ")
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/?(p|div|section|article|header|footer|main|aside|nav|ul|ol|dl|dt|dd|blockquote|pre|figure|figcaption|tr|table|caption)\b[^>]*>/gi, "\n\n")
+      .replace(/<[^>]+>/g, " ")
+  )
+    .replace(/[ \t\u00a0]+/g, " ")
+    .replace(/ *\n */g, "\n")
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+}
+
+function extractHtml(buf) {
+  // charset declarado en <meta> (si no es UTF-8 válido)
+  const head = buf.subarray(0, 2048).toString("latin1");
+  const declared = (head.match(/charset=["']?([\w-]+)/i) || [])[1];
+  let html;
+  try {
+    html = decodeText(buf, declared || "windows-1252");
+  } catch {
+    html = decodeText(buf);
+  }
+
+  const body = html
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(script|style|noscript|template|svg|head)\b[\s\S]*?<\/\1>/gi, " ");
+
+  // las tablas salen del texto y quedan como filas (el título: <caption> o el último <hN> previo)
+  const tables = [];
+  const text = body.replace(/<table\b[\s\S]*?<\/table>/gi, (tableHtml, offset) => {
+    const caption = (tableHtml.match(/<caption\b[^>]*>([\s\S]*?)<\/caption>/i) || [])[1];
+    const before = body.slice(0, offset).match(/<h[1-6]\b[^>]*>([\s\S]*?)<\/h[1-6]>/gi);
+    const title = caption || (before ? before[before.length - 1] : null);
+    const rows = [...tableHtml.matchAll(/<tr\b[^>]*>([\s\S]*?)<\/tr>/gi)].map(r =>
+      [...r[1].matchAll(/<t[hd]\b[^>]*>([\s\S]*?)<\/t[hd]>/gi)].map(c => cleanCell(htmlToText(c[1])))
+    );
+    const t = asTable(rows, title ? cleanCell(htmlToText(title)).replace(/^#+\s*/, "") : `Tabla ${tables.length + 1}`);
+    if (t) {
+      tables.push(t);
+      return "\n\n";
+    }
+    return `\n\n${rows.map(r => r.filter(Boolean).join(" | ")).join("\n")}\n\n`;
+  });
+
+  return { pages: [{ page: null, text: htmlToText(text) }], tables };
+}
+
+// ---------- CSV ----------
+export function parseCSV(text) {
+  const firstLine = text.slice(0, text.search(/\r?\n|$/));
+  const delim = [",", ";", "\t"]
+    .map(d => [d, firstLine.split(d).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === "\"" && text[i + 1] === "\"") { cell += "\""; i++; }
+      else if (ch === "\"") quoted = false;
+      else cell += ch;
+    } else if (ch === "\"" && !cell) quoted = true;
+    else if (ch === delim) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map(r => r.map(cleanCell)).filter(r => r.some(Boolean));
+}
+
+function extractCsv(buf, name) {
+  const rows = parseCSV(decodeText(buf));
+  const t = asTable(rows, path.basename(name, path.extname(name)));
+  // una sola columna o una sola fila no es tabla: queda como texto
+  if (!t) return { pages: [{ page: null, text: rows.map(r => r.join(" | ")).join("\n") }], tables: [] };
+  return { pages: [], tables: [t] };
+}
+
+// ---------- Tablas -> chunks por fila ----------
+// rows[0] = encabezados. Se exige al menos 2 columnas y 1 fila de datos.
+// La primera columna vacía hereda el valor de la fila anterior (celdas combinadas:
+// "Autor" una vez y sus objetivos debajo).
+function asTable(rows, name) {
+  const width = Math.max(0, ...rows.map(r => r.length));
+  if (rows.length < 2 || width < 2) return null;
+
+  const columns = Array.from({ length: width }, (_, j) => cleanCell(rows[0][j]) || `Columna ${j + 1}`);
+  const data = [];
+  let carry = "";
+  for (const r of rows.slice(1)) {
+    const cells = Array.from({ length: width }, (_, j) => cleanCell(r[j]));
+    if (!cells.some(Boolean)) continue;
+    if (cells[0]) carry = cells[0];
+    else cells[0] = carry;
+    data.push(cells);
+  }
+  return data.length ? { name: cleanCell(name), columns, rows: data } : null;
+}
+
+// [{ text, table: { name, row, columns }, fields: { columna: valor } }] (row empieza en 1)
+export function tableRowChunks(table) {
+  return table.rows.map((cells, i) => {
+    const fields = {};
+    table.columns.forEach((col, j) => {
+      if (cells[j]) fields[col] = cells[j];
+    });
+    const lines = Object.entries(fields).map(([k, v]) => `${k}: ${v}`);
+    return {
+      text: `${table.name} (fila ${i + 1})\n${lines.join("\n")}`,
+      table: { name: table.name, row: i + 1, columns: table.columns.length },
+      fields
+    };
+  });
+}
+
+// ---------- Entrada única ----------
+export function extractDoc(buf, ext, { name = "" } = {}) {
+  switch (ext) {
+    case ".docx": return extractDocx(buf, name);
+    case ".html":
+    case ".htm": return extractHtml(buf);
+    case ".csv": return extractCsv(buf, name);
+    default: return { pages: [{ page: null, text: decodeText(buf) }], tables: [] };
+  }
+}
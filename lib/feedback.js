@@ -0,0 +1,269 @@
+// lib/feedback.js (ESM)
+// Opiniones (👍/👎) sobre respuestas del chat y cola de revisión.
+//
+//   feedback/feedback.jsonl    solo se agregan líneas (como logs/questions-*.jsonl):
+//     { type: "item", id, at, rating: "up"|"down", comment, question, answer,
+//       sources: [{ doc, pages, section, url }], sessionId, mode, status: "new"|"dismissed" }
+//     { type: "review", id, at, status: "accepted"|"dismissed", review }   cambia el estado de un item
+//   correcciones_QA.json       las respuestas corregidas, como dataset QA (review_status "approved")
+//
+// Límites (env): FEEDBACK_MAX_PENDING opiniones sin revisar (500; más allá add() responde 429)
+// y FEEDBACK_MAX_MB de feedback.jsonl (20; más allá, 507). El feedback/feedback.json de antes
+// (un solo JSON reescrito en cada POST) se sigue leyendo, antes que el .jsonl.
+//
+//   const fb = createFeedbackStore({ dir: "feedback", kbPath: "kb.json", datasetPath: "correcciones_QA.json" });
+//   await fb.add({ rating: "down", comment, question, answer, sources });
+//   await fb.accept(id, { question, answer });   -> bloque QA nuevo en el dataset y en kb.json
+//   await fb.dismiss(id, { note });
+//
+// Aceptar una corrección reemplaza en kb.json los bloques con la misma pregunta (la corrección
+// manda, datasets.applyCorrections) y respalda la KB antes (backups/kb/, reason "feedback").
+// Como el dataset se llama *QA*, "albabot-kb build" lo vuelve a incluir al regenerar kb.json,
+// con el mismo criterio; por eso correcciones_QA.json se versiona junto con kb.json.
+// El RAG del servidor lee el mismo dataset (createRAG({ correctionsPath })): una pregunta
+// corregida se responde con la corrección desde que se acepta, sin rebuild.
+// Los errores traen .status (400/404/409/429/507) para responderlos tal cual desde las rutas.
+
+import fs from "fs";
+import fsp from "fs/promises";
+import crypto from "crypto";
+import path from "path";
+import datasets from "./datasets.js";
+
+export const RATINGS = ["up", "down"];
+export const STATUSES = ["new", "accepted", "dismissed"];
+
+const LIMITS = { comment: 2000, question: 2000, answer: 20000, sources: 20 };
+
+function intFrom(val, def, min, max) {
+  const n = Number(val);
+  if (val === undefined || val === "" || !Number.isFinite(n)) return def;
+  return Math.max(min, Math.min(max, Math.trunc(n)));
+}
+
+function feedbackError(status, message) {
+  return Object.assign(new Error(message), { status });
+}
+
+function text(v, max, field) {
+  const s = String(v ?? "").trim();
+  if (s.length > max) throw feedbackError(400, `${field} es demasiado largo (máx. ${max}).`);
+  return s;
+}
+
+function cleanSources(list) {
+  if (!Array.isArray(list)) return [];
+  return list.slice(0, LIMITS.sources).filter(s => s && s.doc).map(s => ({
+    doc: String(s.doc).slice(0, 300),
+    pages: s.pages ? String(s.pages).slice(0, 40) : null,
+    section: s.section ? String(s.section).slice(0, 300) : null,
+    url: s.url ? String(s.url).slice(0, 500) : null
+  }));
+}
+
+// "p. 16–19" -> { start: 16, end: 19 }
+function pagesOf(label) {
+  const m = String(label || "").match(/(\d+)(?:\s*[–-]\s*(\d+))?/);
+  return m ? { start: Number(m[1]), end: Number(m[2] || m[1]) } : { start: null, end: null };
+}
+
+async function writeJsonAtomic(file, obj) {
+  await fsp.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  await fsp.writeFile(tmp, JSON.stringify(obj, null, 2) + "\n", "utf8");
+  await fsp.rename(tmp, file);
+}
+
+function readJsonOr(file, fallback) {
+  try {
+    return datasets.parseJsonText(fs.readFileSync(file, "utf8"));
+  } catch {
+    return fallback;
+  }
+}
+
+// Líneas JSON de un .jsonl (las rotas, p. ej. un corte a medio append, se saltan)
+function readJsonl(file) {
+  if (!fs.existsSync(file)) return [];
+  const out = [];
+  for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+    if (!line.trim()) continue;
+    try {
+      out.push(JSON.parse(line));
+    } catch {
+      // línea incompleta
+    }
+  }
+  return out;
+}
+
+export function createFeedbackStore({
+  dir = path.resolve("feedback"),
+  kbPath = path.resolve("kb.json"),
+  datasetPath = path.resolve("correcciones_QA.json"),
+  backups = null,
+  env = process.env
+} = {}) {
+  const FILE = path.join(dir, "feedback.jsonl");
+  const LEGACY_FILE = path.join(dir, "feedback.json");
+  const DATASET = path.basename(datasetPath, ".json");
+  const MAX_PENDING = intFrom(env.FEEDBACK_MAX_PENDING, 500, 1, 100000);
+  const MAX_BYTES = intFrom(env.FEEDBACK_MAX_MB, 20, 1, 1024) * 1024 * 1024;
+
+  // las escrituras (feedback.jsonl, dataset y kb.json) van de a una
+  let chain = Promise.resolve();
+  function serial(fn) {
+    const run = chain.then(fn, fn);
+    chain = run.catch(() => {});
+    return run;
+  }
+
+  // Items con su estado actual: los "review" se aplican en orden sobre su item
+  function readItems() {
+    const legacy = readJsonOr(LEGACY_FILE, null);
+    const byId = new Map((Array.isArray(legacy?.items) ? legacy.items : []).map(i => [i.id, i]));
+    for (const { type, ...e } of readJsonl(FILE)) {
+      if (type === "item") byId.set(e.id, e);
+      else if (type === "review" && byId.has(e.id)) byId.set(e.id, { ...byId.get(e.id), status: e.status, review: e.review });
+    }
+    return [...byId.values()];
+  }
+
+  async function append(event) {
+    await fsp.mkdir(dir, { recursive: true });
+    await fsp.appendFile(FILE, JSON.stringify(event) + "\n", "utf8");
+  }
+
+  function fileBytes() {
+    try {
+      return fs.statSync(FILE).size;
+    } catch {
+      return 0;
+    }
+  }
+
+  // Más nuevos primero; status / rating filtran
+  function list({ status = null, rating = null } = {}) {
+    return readItems()
+      .filter(i => (!status || i.status === status) && (!rating || i.rating === rating))
+      .sort((a, b) => String(b.at).localeCompare(String(a.at)));
+  }
+
+  function counts() {
+    const out = { new: 0, accepted: 0, dismissed: 0, up: 0, down: 0 };
+    for (const i of readItems()) {
+      out[i.status] = (out[i.status] || 0) + 1;
+      out[i.rating] = (out[i.rating] || 0) + 1;
+    }
+    return out;
+  }
+
+  function get(id) {
+    return readItems().find(i => i.id === id) || null;
+  }
+
+  async function add(input = {}) {
+    if (!RATINGS.includes(input.rating)) throw feedbackError(400, `rating debe ser ${RATINGS.join(" o ")}.`);
+    const item = {
+      id: crypto.randomBytes(8).toString("hex"),
+      at: new Date().toISOString(),
+      rating: input.rating,
+      comment: text(input.comment, LIMITS.comment, "comment"),
+      question: text(input.question, LIMITS.question, "question"),
+      answer: text(input.answer, LIMITS.answer, "answer"),
+      sources: cleanSources(input.sources),
+      sessionId: typeof input.sessionId === "string" ? input.sessionId.slice(0, 64) : null,
+      mode: input.mode === "local" ? "local" : "server",
+      // un 👍 no necesita revisión
+      status: input.rating === "up" ? "dismissed" : "new",
+      review: null
+    };
+    if (!item.question || !item.answer) throw feedbackError(400, "Faltan question y answer.");
+
+    return serial(async () => {
+      if (fileBytes() >= MAX_BYTES) throw feedbackError(507, "El registro de feedback está lleno; hay que revisarlo o archivarlo.");
+      if (item.status === "new" && readItems().filter(i => i.status === "new").length >= MAX_PENDING) {
+        throw feedbackError(429, "Hay demasiadas opiniones pendientes de revisión; intenta más tarde.");
+      }
+      await append({ type: "item", ...item });
+      return item;
+    });
+  }
+
+  function pending(id) {
+    const item = get(id);
+    if (!item) throw feedbackError(404, `No existe el feedback "${id}".`);
+    if (item.status !== "new") throw feedbackError(409, `El feedback "${id}" ya fue revisado (${item.status}).`);
+    return item;
+  }
+
+  async function setStatus(item, status, review) {
+    await append({ type: "review", id: item.id, at: review.at, status, review });
+    return { ...item, status, review };
+  }
+
+  // QA del dataset de correcciones: { id, question, answer, variants, tags, source, ... }
+  function correctionItem(item, { question, answer, source }, n) {
+    const doc = source === undefined ? item.sources[0]?.doc || null : source || null;
+    const pages = doc && doc === item.sources[0]?.doc ? pagesOf(item.sources[0].pages) : { start: null, end: null };
+    return {
+      id: n,
+      question,
+      answer,
+      variants: item.question !== question ? [item.question] : [],
+      tags: ["corrección"],
+      source: doc,
+      page_start: pages.start,
+      page_end: pages.end,
+      review_status: "approved",
+      feedback_id: item.id
+    };
+  }
+
+  // Bloque en kb.json: reemplaza los que tengan la misma pregunta (o variante)
+  async function mergeIntoKB(block) {
+    const current = fs.existsSync(kbPath) ? readJsonOr(kbPath, null) : null;
+    if (fs.existsSync(kbPath) && !current) throw feedbackError(409, `${path.basename(kbPath)} no es un JSON válido.`);
+    const kb = current ? datasets.asKB(current, { dataset: path.basename(kbPath, ".json") }) : datasets.createKB([]);
+
+    // mismo criterio que "albabot-kb build" (datasets.applyCorrections)
+    const kept = datasets.applyCorrections([...kb.blocks, block]);
+    const out = datasets.createKB(kept, { kbId: kb.kb_id, createdAt: kb.createdAt });
+
+    const backup = backups?.save(path.basename(kbPath, ".json"), [kbPath], { reason: "feedback" }) || null;
+    await writeJsonAtomic(kbPath, out);
+    return { replaced: kb.blocks.length + 1 - kept.length, blocks: out.blocks.length, backup: backup?.id || null };
+  }
+
+  // Corrige la respuesta: question/answer editados por el revisor (por defecto, la pregunta
+  // original); source: documento a citar ("" = ninguno; por defecto la primera fuente)
+  async function accept(id, { question, answer, source, note } = {}) {
+    return serial(async () => {
+      const item = pending(id);
+      const q = text(question ?? item.question, LIMITS.question, "question");
+      const a = text(answer, LIMITS.answer, "answer");
+      if (!q || !a) throw feedbackError(400, "La corrección necesita question y answer.");
+
+      const dataset = readJsonOr(datasetPath, []);
+      const entries = Array.isArray(dataset) ? dataset : [];
+      const n = entries.reduce((max, e) => Math.max(max, Number(e.id) || 0), 0) + 1;
+      const entry = correctionItem(item, { question: q, answer: a, source }, n);
+      const [block] = datasets.toBlocks([entry], { dataset: DATASET });
+
+      await writeJsonAtomic(datasetPath, [...entries, entry]);
+      const kb = await mergeIntoKB(block);
+
+      const reviewed = await setStatus(item, "accepted", { at: new Date().toISOString(), blockId: block.id, note: text(note, LIMITS.comment, "note") || null });
+      return { item: reviewed, block, kb };
+    });
+  }
+
+  async function dismiss(id, { note } = {}) {
+    return serial(async () => {
+      const item = pending(id);
+      return setStatus(item, "dismissed", { at: new Date().toISOString(), blockId: null, note: text(note, LIMITS.comment, "note") || null });
+    });
+  }
+
+  return { dir, kbPath, datasetPath, MAX_PENDING, MAX_BYTES, list, counts, get, add, accept, dismiss };
+}
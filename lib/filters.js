@@ -0,0 +1,240 @@
+// lib/filters.js
+// Filtros por metadatos (documento, país, objetivo, desafío, período, público).
+// Lo usan server.js/lib/rag.js (import), los tools (require) y chat.html (window.AlbabotFilters).
+//
+//   filters = { doc, country, objetivo, desafio, period: { from, to }, audience }
+//
+//   extractFilters("¿Qué dice el objetivo 6 en Singapur al 2030?")
+//     -> { objetivo: "6", country: "Singapur", period: { from: 2030, to: 2030 } }
+//   matchesFilters(item, filters)
+//     item puede ser un bloque canónico (country, objetivo_numero, timeframe, ...) o un
+//     chunk de PDF ({ doc, text, objetivo_ids? }): si falta el campo, se busca la mención en el texto.
+//
+// Los filtros que elige el usuario (selector, chips, "filters" de la API) restringen la búsqueda.
+// Los deducidos de la pregunta (autoFilters) no: "en 2030" o "en Singapur" pueden ser parte del
+// tema y no una condición, así que solo suben en el ranking lo que coincide (puntaje × AUTO_BOOST).
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AlbabotFilters = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  const KEYS = ["doc", "country", "objetivo", "desafio", "period", "audience"];
+
+  // Solo los países que aparecen en los documentos de docs/: un país que no está en ellos
+  // (Finlandia, Canadá…) no se ofrece como filtro, porque nunca coincidiría con nada
+  const COUNTRIES = [
+    "Alemania", "Chile", "Escocia", "España", "Estados Unidos", "Francia", "Irlanda",
+    "Países Bajos", "Reino Unido", "Singapur"
+  ];
+
+  // Formas alternativas -> nombre canónico
+  const ALIASES = {
+    "eeuu": "Estados Unidos", "ee uu": "Estados Unidos", "usa": "Estados Unidos",
+    "holanda": "Países Bajos", "uk": "Reino Unido", "inglaterra": "Reino Unido"
+  };
+
+  // Objetivos UDALBA 2025-2045: en los PDF aparecen como ítems "6. Desarrollo de
+  // Infraestructura…" (Tabla Autores vs Objetivos, Directrices), no como títulos
+  const OBJECTIVES = {
+    1: "Factores de Desarrollo Institucional",
+    2: "Excelencia Académica y Calidad Educativa",
+    3: "Investigación Formativa como Sello Institucional",
+    4: "Desarrollo del Talento Humano y Carrera Académica/Administrativa",
+    5: "Planificación Presupuestaria y Sostenibilidad Financiera",
+    6: "Desarrollo de Infraestructura Física y Tecnológica",
+    7: "Transformación Digital y Educación del Futuro",
+    8: "Educación Virtual y Modalidades Híbridas",
+    9: "Simulación y Laboratorios Virtuales",
+    10: "Integración Estratégica de TICs",
+    11: "Fortalecimiento de la Investigación e Innovación",
+    12: "Inclusión Social y Equidad Educativa",
+    13: "Enfoque Centrado en el Estudiante",
+    14: "Impacto Regional y Pertinencia Territorial",
+    15: "Universidad de la Experiencia: Educación Continua y Reconversión Laboral",
+    16: "Inteligencia Artificial en Proceso Formativo",
+    17: "Adaptación a las Futuras Disrupciones Tecnológicas",
+    18: "Ambiente Laboral (Best Place to Work)",
+    19: "Gestión del Cambio"
+  };
+
+  function fold(s) {
+    return String(s == null ? "" : s)
+      .toLowerCase()
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9.+\s-]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function escapeRe(s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  }
+
+  function mentions(text, phrase) {
+    if (!phrase) return false;
+    return new RegExp(`(^|[^a-z0-9])${escapeRe(fold(phrase))}($|[^a-z0-9])`).test(fold(text));
+  }
+
+  function findCountry(text) {
+    const t = ` ${fold(text)} `;
+    for (const [alias, name] of Object.entries(ALIASES)) {
+      if (t.includes(` ${alias} `)) return name;
+    }
+    // los nombres largos primero ("Corea del Sur" antes que "Corea")
+    const byLength = COUNTRIES.slice().sort((a, b) => b.length - a.length);
+    return byLength.find(c => mentions(text, c)) || null;
+  }
+
+  // "2030" | "2026–2038" | { from, to } -> { from, to } | null
+  function parsePeriod(v) {
+    if (!v) return null;
+    if (typeof v === "object") {
+      const from = Number(v.from ?? v.to);
+      const to = Number(v.to ?? v.from);
+      return Number.isFinite(from) && Number.isFinite(to) ? { from: Math.min(from, to), to: Math.max(from, to) } : null;
+    }
+    const years = (String(v).match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+    if (!years.length) return null;
+    return { from: Math.min(...years), to: Math.max(...years) };
+  }
+
+  // Filtros que se pueden deducir de la pregunta
+  function extractFilters(query) {
+    const q = String(query || "");
+    const f = {};
+
+    const obj = fold(q).match(/\bobjetivo(?:s)?\s*(?:n(?:ro|um|o)?\.?\s*|numero\s*|#\s*)?(\d{1,2}(?:\.\d{1,2})?)\b/);
+    if (obj) f.objetivo = obj[1];
+
+    const des = fold(q).match(/\bdesafio(?:\s+estrategico)?\s*(?:n(?:ro|o)?\.?\s*|#\s*)?(\d{1,2})\b/);
+    if (des) f.desafio = Number(des[1]);
+
+    const country = findCountry(q);
+    if (country) f.country = country;
+
+    // solo años explícitos ("al 2030", "2026-2038"); "objetivo 6" no es un período
+    const period = parsePeriod(q.replace(/objetivo\s*\d+(\.\d+)?/gi, ""));
+    if (period) f.period = period;
+
+    return f;
+  }
+
+  const AUTO_BOOST = 2;
+
+  // Deducidos de la pregunta, sin los que el usuario ya fijó (los suyos mandan)
+  function autoFilters(query, explicit) {
+    const auto = extractFilters(query);
+    for (const k of Object.keys(normalizeFilters(explicit))) delete auto[k];
+    return auto;
+  }
+
+  // Limpia filtros recibidos por API / UI (descarta vacíos y claves desconocidas)
+  function normalizeFilters(raw) {
+    const f = {};
+    if (!raw || typeof raw !== "object") return f;
+    for (const k of KEYS) {
+      const v = raw[k];
+      if (v === undefined || v === null || v === "") continue;
+      if (k === "period") {
+        const p = parsePeriod(v);
+        if (p) f.period = p;
+      } else if (k === "desafio") {
+        if (Number.isFinite(Number(v))) f.desafio = Number(v);
+      } else {
+        f[k] = String(v).trim();
+      }
+    }
+    return f;
+  }
+
+  // Explícitos (API / chips) mandan sobre los deducidos
+  function mergeFilters(auto, explicit) {
+    return Object.assign({}, normalizeFilters(auto), normalizeFilters(explicit));
+  }
+
+  function isEmpty(filters) {
+    return !filters || !Object.keys(filters).length;
+  }
+
+  function sameObjetivo(id, want) {
+    id = String(id);
+    return id === want || (!want.includes(".") && id.split(".")[0] === want);
+  }
+
+  function matchObjetivo(item, objetivo) {
+    const want = String(objetivo);
+    if (item.objetivo_id != null) return sameObjetivo(item.objetivo_id, want);
+    // objetivos listados en el chunk ("6. Desarrollo de Infraestructura…", lib/chunking.js)
+    if (Array.isArray(item.objetivo_ids) && item.objetivo_ids.some(id => sameObjetivo(id, want))) return true;
+    if (item.objetivo_numero != null) return String(item.objetivo_numero) === want.split(".")[0];
+    return new RegExp(`\\bobjetivos?\\s*(?:n\\S*\\s*)?${escapeRe(want)}(?![\\d.]\\d)`).test(fold(item.text || item.title));
+  }
+
+  function matchPeriod(item, period) {
+    const own = parsePeriod(item.timeframe);
+    if (own) return own.from <= period.to && own.to >= period.from;
+    const years = (String(item.text || "").match(/\b(19|20)\d{2}\b/g) || []).map(Number);
+    return years.some(y => y >= period.from && y <= period.to);
+  }
+
+  function matchesFilters(item, filters) {
+    if (isEmpty(filters)) return true;
+    const f = filters;
+    const doc = item.doc ?? item.source;
+    const text = [item.title, item.text].filter(Boolean).join(" ");
+
+    if (f.doc && fold(doc) !== fold(f.doc)) return false;
+
+    if (f.country) {
+      const own = item.country;
+      if (own && fold(own) !== "multi-pais") {
+        if (fold(own) !== fold(f.country)) return false;
+      } else if (!mentions(text, f.country)) {
+        return false;
+      }
+    }
+
+    if (f.objetivo && !matchObjetivo({ ...item, text }, f.objetivo)) return false;
+
+    if (f.desafio != null) {
+      if (item.desafio_id != null) {
+        if (Number(item.desafio_id) !== Number(f.desafio)) return false;
+      } else if (!new RegExp(`\\bdesafio(?:\\s+estrategico)?\\s*${f.desafio}\\b`).test(fold(text))) {
+        return false;
+      }
+    }
+
+    if (f.period && !matchPeriod({ ...item, text }, f.period)) return false;
+
+    if (f.audience) {
+      const aud = Array.isArray(item.audience) ? item.audience : [];
+      if (aud.length ? !aud.some(a => fold(a) === fold(f.audience)) : !mentions(text, f.audience)) return false;
+    }
+
+    return true;
+  }
+
+  // Etiquetas cortas para chips / logs
+  function describeFilters(filters) {
+    const out = [];
+    if (!filters) return out;
+    if (filters.doc) out.push({ key: "doc", label: filters.doc });
+    if (filters.country) out.push({ key: "country", label: filters.country });
+    if (filters.objetivo) out.push({ key: "objetivo", label: `Objetivo ${filters.objetivo}` });
+    if (filters.desafio != null) out.push({ key: "desafio", label: `Desafío ${filters.desafio}` });
+    if (filters.period) {
+      const p = filters.period;
+      out.push({ key: "period", label: p.from === p.to ? String(p.from) : `${p.from}–${p.to}` });
+    }
+    if (filters.audience) out.push({ key: "audience", label: filters.audience });
+    return out;
+  }
+
+  return {
+    KEYS, COUNTRIES, OBJECTIVES, AUTO_BOOST,
+    extractFilters, autoFilters, normalizeFilters, mergeFilters, isEmpty,
+    matchesFilters, describeFilters, parsePeriod
+  };
+});
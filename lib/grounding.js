@@ -0,0 +1,136 @@
+// lib/grounding.js (ESM)
+// Verificación post-generación: ¿la respuesta se apoya en los CONTEXTOS recuperados?
+//
+//   const report = checkGrounding(answer, contexts);
+//   report.score          -> fracción de oraciones con respaldo (0..1); null si no hubo ninguna
+//                            evaluable (respuesta corta o solo listas): no aplica, no es un 0
+//   report.citations      -> { total, valid, invalid: ["[Doc | p. 9]", ...] }
+//   report.unsupported    -> oraciones sin solapamiento suficiente con ningún contexto
+//
+// Una cita es válida si apunta a un contexto que realmente se recuperó (mismo documento
+// y páginas dentro del rango del chunk, o mismo chunk). Una oración tiene respaldo si
+// suficientes de sus términos aparecen en el contexto citado (o, sin cita, en alguno).
+
+import { tokenize, splitSentences } from "./text.js";
+import { citationLabel } from "./citations.js";
+
+// [Documento | p. 16–19]  /  [Documento | p. 3]  /  [Documento | chunk 4]
+const CITATION_RE = /\[([^\[\]|]+?)\s*\|\s*(?:p\.\s*(\d+)(?:\s*[–—-]\s*(\d+))?|chunk\s+(\d+))\s*\]/g;
+
+// Oraciones demasiado cortas (títulos, conectores) no se evalúan
+const MIN_SENTENCE_TOKENS = 4;
+
+export function parseCitations(text) {
+  const out = [];
+  for (const m of String(text || "").matchAll(CITATION_RE)) {
+    out.push({
+      raw: m[0],
+      doc: m[1].trim(),
+      pageStart: m[2] ? Number(m[2]) : null,
+      pageEnd: m[2] ? Number(m[3] || m[2]) : null,
+      chunkIndex: m[4] != null ? Number(m[4]) : null
+    });
+  }
+  return out;
+}
+
+export function stripCitations(text) {
+  return String(text || "").replace(CITATION_RE, " ").replace(/\s+/g, " ").trim();
+}
+
+// Contextos recuperados que calzan con la cita
+function contextsForCitation(cit, contexts) {
+  return contexts.filter(c => {
+    if (c.doc !== cit.doc) return false;
+    if (cit.chunkIndex != null) return c.chunkIndex === cit.chunkIndex;
+    if (c.pageStart == null) return false;
+    const end = c.pageEnd ?? c.pageStart;
+    return cit.pageStart >= c.pageStart && cit.pageEnd <= end;
+  });
+}
+
+function overlap(sentTokens, ctxTokens) {
+  if (!sentTokens.length) return 0;
+  let hits = 0;
+  for (const t of sentTokens) if (ctxTokens.has(t)) hits++;
+  return hits / sentTokens.length;
+}
+
+// opts.minOverlap: fracción de términos de la oración que debe aparecer en el contexto
+export function checkGrounding(answer, contexts, { minOverlap = 0.5 } = {}) {
+  const ctxTokens = contexts.map(c => new Set(tokenize(c.text)));
+
+  // Citas: válidas si apuntan a un contexto recuperado
+  const citations = parseCitations(answer);
+  const invalid = [];
+  for (const cit of citations) {
+    if (!contextsForCitation(cit, contexts).length && !invalid.includes(cit.raw)) invalid.push(cit.raw);
+  }
+
+  // Oraciones: cada párrafo hereda las citas que trae (el modelo suele citar al final)
+  const checked = [];
+  for (const para of String(answer || "").split(/\n\s*\n/)) {
+    // las citas se reemplazan por marcadores para que "p. 16" no corte la oración,
+    // y una cita escrita tras el punto ("… texto. [Doc | p. 3]") queda en esa oración
+    const paraCites = parseCitations(para);
+    let n = 0;
+    const masked = para
+      .replace(CITATION_RE, () => ` \u27e6${n++}\u27e7 `)
+      .replace(/([.!?…])\s*((?:\u27e6\d+\u27e7\s*)+)/g, " $2$1 ");
+    for (const raw of splitSentences(masked)) {
+      const own = [...raw.matchAll(/\u27e6(\d+)\u27e7/g)].map(m => paraCites[Number(m[1])]);
+      const plain = raw.replace(/\u27e6\d+\u27e7/g, " ").replace(/\s+/g, " ").replace(/\s+([.!?…,;:])/g, "$1").trim();
+      const toks = [...new Set(tokenize(plain))];
+      if (toks.length < MIN_SENTENCE_TOKENS) continue;
+
+      const cites = own.length ? own : paraCites;
+      const cited = cites.flatMap(cit => contextsForCitation(cit, contexts));
+      const pool = cited.length ? cited.map(c => ctxTokens[contexts.indexOf(c)]) : ctxTokens;
+
+      const best = pool.reduce((acc, set) => Math.max(acc, overlap(toks, set)), 0);
+      checked.push({
+        sentence: plain,
+        cited: cites.length > 0,
+        citedValid: cited.length > 0,
+        overlap: Number(best.toFixed(3)),
+        supported: best >= minOverlap
+      });
+    }
+  }
+
+  const supported = checked.filter(s => s.supported).length;
+  return {
+    score: checked.length ? Number((supported / checked.length).toFixed(3)) : null,
+    sentences: checked.length,
+    supported,
+    uncited: checked.filter(s => !s.cited).length,
+    citations: {
+      total: citations.length,
+      valid: citations.length - citations.filter(c => invalid.includes(c.raw)).length,
+      invalid
+    },
+    unsupported: checked.filter(s => !s.supported).map(s => ({ sentence: s.sentence, overlap: s.overlap })),
+    minOverlap
+  };
+}
+
+// Texto para pedir una segunda respuesta más pegada a la evidencia
+export function retryGuidance(report) {
+  const lines = [
+    "Tu respuesta anterior incluía afirmaciones sin respaldo en los CONTEXTOS.",
+    "Reescríbela usando SOLO información presente en los CONTEXTOS y cita cada párrafo con su etiqueta exacta."
+  ];
+  if (report.citations.invalid.length) {
+    lines.push(`No uses estas citas (no corresponden a ningún contexto): ${report.citations.invalid.join(", ")}.`);
+  }
+  return lines;
+}
+
+// Respuesta de rechazo: no hay respaldo suficiente, se sugiere dónde mirar
+export function refusalAnswer(contexts) {
+  const labels = [...new Set(contexts.map(citationLabel))].slice(0, 3);
+  return [
+    "No encontré respaldo suficiente en los documentos para responder con seguridad.",
+    labels.length ? `Puedes revisar: ${labels.join(", ")}.` : "Prueba reformulando la pregunta con otras palabras clave."
+  ].join(" ");
+}
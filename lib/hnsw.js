@@ -0,0 +1,167 @@
+// lib/hnsw.js (ESM)
+// Índice de vecinos aproximados HNSW (Malkov & Yashunin) sobre un almacén de
+// lib/vectors.js (vectores normalizados: similitud = producto punto).
+//
+//   const index = buildHNSW(store, { M: 16, efConstruction: 100 });
+//   index.search(qVec, 50, { ef: 64 })   -> [{ i, score }] por similitud descendente
+//   const bytes = index.serialize();     -> se guarda junto a los vectores (kb_udl.vec)
+//   const again = loadHNSW(store, bytes);
+//
+// El grafo se arma en buildKB (una vez por build), no al cargar la KB.
+
+// Niveles pseudoaleatorios con semilla fija: el mismo KB produce el mismo grafo
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Inserta manteniendo el orden por score descendente
+function insertSorted(list, item) {
+  let lo = 0, hi = list.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (list[mid].score >= item.score) lo = mid + 1;
+    else hi = mid;
+  }
+  list.splice(lo, 0, item);
+}
+
+function createGraph(store, { M, levels, links, entry, maxLevel }) {
+  const M0 = M * 2;
+
+  // Búsqueda voraz en una capa: devuelve hasta ef candidatos (score desc)
+  function searchLayer(q, entries, ef, level) {
+    const visited = new Set(entries.map(e => e.i));
+    const candidates = entries.slice().sort((a, b) => b.score - a.score);
+    const found = candidates.slice();
+
+    while (candidates.length) {
+      const cur = candidates.shift();
+      const worst = found[found.length - 1];
+      if (found.length >= ef && cur.score < worst.score) break;
+
+      for (const n of links[cur.i][level] || []) {
+        if (visited.has(n)) continue;
+        visited.add(n);
+        const score = store.dot(q, n);
+        if (found.length < ef || score > found[found.length - 1].score) {
+          const item = { i: n, score };
+          insertSorted(candidates, item);
+          insertSorted(found, item);
+          if (found.length > ef) found.pop();
+        }
+      }
+    }
+    return found;
+  }
+
+  function greedyDescend(q, fromLevel, toLevel) {
+    let ep = [{ i: entry, score: store.dot(q, entry) }];
+    for (let l = fromLevel; l > toLevel; l--) ep = searchLayer(q, ep, 1, l);
+    return ep;
+  }
+
+  function search(q, k, { ef = 64 } = {}) {
+    if (entry < 0) return [];
+    const ep = greedyDescend(q, maxLevel, 0);
+    return searchLayer(q, ep, Math.max(ef, k), 0).slice(0, k);
+  }
+
+  function insert(i, level, efConstruction) {
+    levels[i] = level;
+    links[i] = Array.from({ length: level + 1 }, () => []);
+    if (entry < 0) {
+      entry = i;
+      maxLevel = level;
+      return;
+    }
+
+    const q = store.get(i);
+    let ep = greedyDescend(q, maxLevel, level);
+    for (let l = Math.min(level, maxLevel); l >= 0; l--) {
+      ep = searchLayer(q, ep, efConstruction, l);
+      const cap = l === 0 ? M0 : M;
+      const neighbors = ep.slice(0, M).map(e => e.i);
+      links[i][l] = neighbors;
+
+      // enlaces de vuelta; si el vecino se pasa del máximo, conserva sus más cercanos
+      for (const n of neighbors) {
+        const nl = links[n][l];
+        nl.push(i);
+        if (nl.length > cap) {
+          const vn = store.get(n);
+          links[n][l] = nl
+            .map(m => ({ m, score: store.dot(vn, m) }))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, cap)
+            .map(x => x.m);
+        }
+      }
+    }
+
+    if (level > maxLevel) {
+      maxLevel = level;
+      entry = i;
+    }
+  }
+
+  // Int32: [M, count, entry, maxLevel, levels..., (por nodo y capa) n, vecinos...]
+  function serialize() {
+    const out = [M, store.count, entry, maxLevel, ...levels];
+    for (let i = 0; i < store.count; i++) {
+      for (const l of links[i]) out.push(l.length, ...l);
+    }
+    const arr = Int32Array.from(out);
+    return new Uint8Array(arr.buffer);
+  }
+
+  return {
+    kind: "hnsw",
+    M,
+    get size() { return store.count; },
+    search,
+    insert,
+    serialize
+  };
+}
+
+export function buildHNSW(store, { M = 16, efConstruction = 100, seed = 42 } = {}) {
+  const graph = createGraph(store, {
+    M,
+    levels: new Int32Array(store.count),
+    links: new Array(store.count),
+    entry: -1,
+    maxLevel: -1
+  });
+  const rand = seededRandom(seed);
+  const mL = 1 / Math.log(M);
+  for (let i = 0; i < store.count; i++) {
+    graph.insert(i, Math.floor(-Math.log(1 - rand()) * mL), efConstruction);
+  }
+  return graph;
+}
+
+export function loadHNSW(store, bytes) {
+  const data = new Int32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+  const [M, count, entry, maxLevel] = data;
+  if (count !== store.count) throw new Error(`Índice HNSW de ${count} vectores para un almacén de ${store.count}.`);
+
+  const levels = data.slice(4, 4 + count);
+  const links = new Array(count);
+  let off = 4 + count;
+  for (let i = 0; i < count; i++) {
+    links[i] = [];
+    for (let l = 0; l <= levels[i]; l++) {
+      const n = data[off++];
+      links[i].push(Array.from(data.subarray(off, off + n)));
+      off += n;
+    }
+  }
+  return createGraph(store, { M, levels, links, entry, maxLevel });
+}
@@ -0,0 +1,131 @@
+// lib/injection.js (ESM)
+// Defensas contra inyección de instrucciones ("ignora las instrucciones anteriores…") en los
+// documentos indexados y en las preguntas.
+//
+//   detectInjection(text)    -> [{ id, match }]   patrones sospechosos (vacío = limpio)
+//   sanitizeContext(text)    -> texto para el prompt: sin caracteres invisibles, sin imitaciones
+//                               de los delimitadores ni de los encabezados (PREGUNTA:, ...) y con
+//                               la oración sospechosa reemplazada por OMITTED
+//   fence(name, text, label) -> "<<<NAME label>>>\n…\n<<<FIN NAME>>>"
+//
+// rag.js delimita cada contexto y la pregunta con fence() y avisa en el system prompt que lo
+// delimitado son datos; los chunks sospechosos se marcan al construir la KB (chunk.injection).
+// El corpus adversarial está en tools/kb/injection_corpus.json ("albabot-kb injection").
+
+// id -> patrón. Se buscan en el texto original (con y sin tildes), sin importar mayúsculas.
+// Frases del dominio como "el mensaje del sistema educativo", "desde ahora vas a considerar…"
+// o "la contraseña del wifi" no deben calzar: "sistema" y "desde ahora" exigen un verbo que
+// pida filtrar el prompt o cambiar de rol, y las credenciales genéricas exigen "tu/tus".
+export const INJECTION_PATTERNS = [
+  {
+    id: "ignore-instructions",
+    re: /\b(?:ignora|ignorar|ignore|olvida|olvidar|omite|descarta|disregard|forget|override)\w*\s+(?:(?:de\s+)?(?:todas?|todos|todo|all|any|las|los|tus|sus|mis|the|your|these|estas|esas|previous|prior|above|earlier|anteriores|previas|iniciales|originales)\s+){0,4}(?:instrucci[oó]n(?:es)?|[oó]rdenes|reglas|indicaciones|restricciones|instructions|rules|directives|guidelines)\b/i
+  },
+  { id: "ignore-previous", re: /\b(?:ignora|olvida)\s+(?:todo\s+)?lo\s+(?:anterior|que\s+(?:te\s+)?(?:dijeron|indicaron))\b|\bignore\s+(?:all\s+|everything\s+)?(?:the\s+)?(?:above|previous|prior)\b/i },
+  {
+    id: "role-override",
+    re: /\b(?:a\s+partir\s+de\s+ahora|desde\s+ahora)\s*,?\s*(?:eres|ser[aá]s|act[uú]as?|actuar[aá]s|te\s+llamas|responder[aá]s\s+(?:solo|solamente|[uú]nicamente|siempre))\b|\bahora\s+eres\s+(?:un|una|el|la)\b|\b(?:finge|pretende|simula)\s+(?:que\s+eres|ser)\b|\byou\s+are\s+now\b|\bfrom\s+now\s+on,?\s+you\b|\bpretend\s+(?:to\s+be|you\s+are)\b/i
+  },
+  {
+    id: "prompt-leak",
+    re: /\b(?:system\s+prompt|prompt\s+(?:del\s+)?sistema)\b|\binstrucciones\s+(?:ocultas|secretas)\b|\b(?:revela|revel[aá]|mu[eé]strame|muestra|imprime|repite|copia|reveal|print|repeat|show)\s+(?:\w+\s+){0,3}(?:tu|tus|el|las|your|the)\s+(?:prompt|instrucciones|instructions|mensaje\s+(?:del\s+)?sistema(?!\s+(?:de|del|educativo|universitario|nacional)\b))\b/i
+  },
+  {
+    id: "context-escape",
+    re: /\b(?:no\s+(?:uses|utilices|respetes|sigas|necesitas|consideres)\s+(?:los\s+)?contextos?|(?:responde|contesta)\s+(?:sin|fuera\s+de)\s+(?:los\s+)?contextos?|sin\s+(?:usar|citar|mirar)\s+(?:los\s+)?contextos?|ignore\s+(?:the\s+)?contexts?|without\s+(?:using\s+)?(?:the\s+)?contexts?)\b/i
+  },
+  { id: "answer-override", re: /\b(?:responde|contesta|escribe|di|answer|reply|respond|say|output)\s+(?:solo|solamente|[uú]nicamente|only|just|exactly|exactamente)\s+(?:con\s+|with\s+)?(?:la\s+palabra\s+|the\s+word\s+)?["“'«`]/i },
+  {
+    id: "role-marker",
+    re: /<\|?\s*(?:im_start|im_end|system|endoftext)\s*\|?>|\[\/?(?:INST|SYS)\]|<\/?(?:system|assistant)>|^\s*(?:#{1,6}\s*)?(?:system|assistant|developer)\s*:/im
+  },
+  { id: "delimiter-spoof", re: /<<<\s*(?:FIN\s+)?(?:CONTEXTO|PREGUNTA|HISTORIAL)\b/i },
+  { id: "jailbreak", re: /\b(?:jailbreak|modo\s+(?:desarrollador|developer|dios|sin\s+(?:restricciones|filtros|l[ií]mites))|developer\s+mode|DAN\s+mode|do\s+anything\s+now)\b/i },
+  {
+    id: "secret-request",
+    re: /\b(?:OPENAI_API_KEY|ADMIN_TOKEN)\b|\b(?:dame|revela|muestra|mu[eé]strame|imprime|give|show|reveal|print)\s+(?:me\s+)?(?:tu|tus|your)\s+(?:api[\s_-]?key|clave\s+de\s+(?:la\s+)?api|token|contrase[ñn]a|password|variables\s+de\s+entorno)\b|\b(?:dame|revela|muestra|mu[eé]strame|imprime|give|show|reveal|print)\s+(?:me\s+)?(?:la|el|las|the)\s+(?:api[\s_-]?key|clave\s+de\s+(?:la\s+)?api|token\s+de\s+(?:administraci[oó]n|admin|acceso)|variables\s+de\s+entorno)\b/i
+  }
+];
+
+// Invisibles que sirven para esconder texto (zero-width, bidi, BOM) y controles salvo \n \t
+const INVISIBLE_RE = /[\u0000-\u0008\u000b\u000c\u000e-\u001f\u007f\u00ad\u200b-\u200f\u202a-\u202e\u2060-\u2064\ufeff]/g;
+
+// Encabezados del prompt (rag.js buildAnswerRequest) que un documento no debe poder imitar:
+// solos en su línea se quitan; seguidos de texto quedan entre « »
+const HEADERS = "CONTEXTOS|PREGUNTA(?:[ \\t]+DE[ \\t]+SEGUIMIENTO)?|INSTRUCCI[OÓ]N|HISTORIAL";
+const HEADER_LINE_RE = new RegExp(`^[ \\t]*(?:${HEADERS})[ \\t]*:[ \\t]*$\\n?`, "gm");
+const HEADER_RE = new RegExp(`^([ \\t]*)(${HEADERS})([ \\t]*:)`, "gm");
+
+export const OMITTED = "[posible instrucción omitida]";
+
+export function stripInvisible(text) {
+  return String(text ?? "").replace(INVISIBLE_RE, "");
+}
+
+export function detectInjection(text) {
+  const t = stripInvisible(text);
+  if (!t.trim()) return [];
+  const found = [];
+  for (const { id, re } of INJECTION_PATTERNS) {
+    const m = t.match(re);
+    if (m) found.push({ id, match: m[0].trim().slice(0, 120) });
+  }
+  return found;
+}
+
+// Rango de la oración (o línea) que contiene [start, end)
+function sentenceRange(text, start, end) {
+  let a = start;
+  while (a > 0 && !/[.!?\n]/.test(text[a - 1])) a--;
+  let b = end;
+  while (b < text.length && !/[.!?\n]/.test(text[b])) b++;
+  if (b < text.length && text[b] !== "\n") b++;
+  return [a, b];
+}
+
+// Reemplaza cada oración sospechosa por OMITTED (el resto del chunk sigue siendo evidencia)
+export function neutralize(text) {
+  let t = stripInvisible(text);
+  const ranges = [];
+  for (const { re } of INJECTION_PATTERNS) {
+    const g = new RegExp(re.source, re.flags.includes("g") ? re.flags : `${re.flags}g`);
+    for (const m of t.matchAll(g)) ranges.push(sentenceRange(t, m.index, m.index + m[0].length));
+  }
+  if (!ranges.length) return t;
+
+  ranges.sort((x, y) => x[0] - y[0]);
+  const merged = [];
+  for (const r of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push([...r]);
+  }
+  for (const [a, b] of merged.reverse()) {
+    const lead = t.slice(a, b).match(/^\s*/)[0];
+    t = `${t.slice(0, a)}${lead}${OMITTED}${t.slice(b)}`;
+  }
+  return t;
+}
+
+// Texto de un contexto (o del historial) listo para ir dentro de un fence
+export function sanitizeContext(text) {
+  return neutralize(text)
+    .replace(/<{3,}/g, "‹‹")
+    .replace(/>{3,}/g, "››")
+    .replace(HEADER_LINE_RE, "")
+    .replace(HEADER_RE, "$1«$2»$3");
+}
+
+// La pregunta no se reescribe (se responde tal cual); solo se quitan invisibles y delimitadores
+export function sanitizeQuestion(text) {
+  return stripInvisible(text).replace(/<{3,}/g, "‹‹").replace(/>{3,}/g, "››");
+}
+
+export function fence(name, text, label = "") {
+  return `<<<${name}${label ? ` ${label}` : ""}>>>\n${text}\n<<<FIN ${name}>>>`;
+}
+
+// Respuesta cuando la pregunta misma es un intento de inyección (QUESTION_INJECTION=block)
+export const INJECTION_ANSWER =
+  "Solo puedo responder preguntas sobre los documentos cargados, usando su contenido como evidencia. " +
+  "No puedo cambiar esas reglas, revelar instrucciones internas ni responder fuera de los documentos.";
@@ -0,0 +1,132 @@
+// lib/jobs.js (ESM)
+// Cola de builds de la KB en segundo plano: un build a la vez, con progreso consultable.
+//
+//   const builds = createBuildQueue({ rag });
+//   const job = builds.enqueue({ full: true });   -> { id, status: "queued", ... } (no espera)
+//   builds.get(job.id)                            -> estado y progreso del job
+//   await builds.wait(job.id)                     -> job terminado ("done" | "failed")
+//   const kb = await builds.currentKB();          -> KB para responder (ver abajo)
+//
+// Mientras un build corre, loadKB() sigue entregando la KB anterior; al terminar,
+// buildKB() la reemplaza de una vez (archivos renombrados + caché en memoria).
+
+import crypto from "crypto";
+
+// keep: jobs terminados que se recuerdan; retryAfterMs: pausa antes de reintentar un
+// auto-rebuild que falló (para no relanzarlo en cada consulta)
+export function createBuildQueue({ rag, keep = 20, retryAfterMs = 60 * 1000 } = {}) {
+  if (!rag) throw new Error("createBuildQueue: falta rag.");
+
+  const jobs = new Map();   // id -> job (orden de creación)
+  const waiters = new Map(); // id -> { promise, resolve }
+  const queue = [];         // ids en espera (a lo sumo uno, ver enqueue)
+  let running = null;       // id del job en curso
+  let lastAutoFailure = 0;
+
+  function view(job) {
+    return job ? { ...job, progress: job.progress ? { ...job.progress } : null } : null;
+  }
+
+  function prune() {
+    const finished = [...jobs.values()].filter(j => j.status === "done" || j.status === "failed");
+    for (const j of finished.slice(0, Math.max(0, finished.length - keep))) {
+      jobs.delete(j.id);
+      waiters.delete(j.id);
+    }
+  }
+
+  async function runNext() {
+    if (running || !queue.length) return;
+    const job = jobs.get(queue.shift());
+    running = job.id;
+    job.status = "running";
+    job.startedAt = new Date().toISOString();
+
+    try {
+      job.meta = await rag.buildKB({
+        full: job.full,
+        onProgress: (p) => { job.progress = p; }
+      });
+      job.status = "done";
+    } catch (e) {
+      job.status = "failed";
+      job.error = String(e?.message || e);
+      if (job.reason !== "manual") lastAutoFailure = Date.now();
+    } finally {
+      job.finishedAt = new Date().toISOString();
+      running = null;
+      waiters.get(job.id)?.resolve(view(job));
+      prune();
+      runNext();
+    }
+  }
+
+  // Si ya hay un job en espera, absorbe los pedidos nuevos (todavía no leyó /docs);
+  // un pedido completo lo convierte en completo. Así la cola nunca pasa de uno.
+  function enqueue({ full = false, reason = "manual" } = {}) {
+    const pending = queue.length ? jobs.get(queue[0]) : null;
+    if (pending) {
+      if (full) pending.full = true;
+      return view(pending);
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: "queued",
+      full: !!full,
+      reason,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      progress: null,
+      meta: null,
+      error: null
+    };
+    let resolve;
+    const promise = new Promise(r => { resolve = r; });
+    jobs.set(job.id, job);
+    waiters.set(job.id, { promise, resolve });
+    queue.push(job.id);
+    setImmediate(runNext);
+    return view(job);
+  }
+
+  function get(id) {
+    return view(jobs.get(id));
+  }
+
+  function list() {
+    return [...jobs.values()].reverse().map(view);
+  }
+
+  // Job en curso o el próximo en espera (o null)
+  function active() {
+    return view(jobs.get(running) || jobs.get(queue[0]));
+  }
+
+  async function wait(id) {
+    const job = jobs.get(id);
+    if (!job) return null;
+    if (job.status === "done" || job.status === "failed") return view(job);
+    return waiters.get(id).promise;
+  }
+
+  // KB para responder una consulta:
+  // - sin KB (o con embeddings de otro modelo) no hay nada que servir: espera un build;
+  // - si /docs cambió, encola un build en segundo plano y responde con la KB actual.
+  async function currentKB() {
+    const kb = rag.loadKB();
+    if (!rag.kbIsUsable(kb)) {
+      const pending = active() || enqueue({ reason: "missing" });
+      const done = await wait(pending.id);
+      if (done.status === "failed") throw new Error(`No se pudo construir la KB: ${done.error}`);
+      return rag.loadKB();
+    }
+    if (!active() && Date.now() - lastAutoFailure > retryAfterMs && await rag.kbIsStale(kb)) {
+      enqueue({ reason: "stale" });
+    }
+    return kb;
+  }
+
+  return { enqueue, get, list, active, wait, currentKB };
+}
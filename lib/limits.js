@@ -0,0 +1,199 @@
+// lib/limits.js (ESM)
+// Límites contra abuso del chat: ritmo por IP / sesión, presupuesto diario de tokens y largo
+// máximo del mensaje. Todo en memoria (se reinicia con el servidor).
+//
+//   const limits = createChatLimits({ env: process.env });
+//   app.post("/api/chat", limits.guard, handler);   -> 413 / 429 con { ok: false, code, error, retryAfter }
+//   limits.charge(req, estimateTokens(prompt, answer));   (cada llamada al modelo: condense y respuesta)
+//
+// .env:
+//   CHAT_MAX_CHARS=1000             largo máximo de la pregunta
+//   RATE_LIMIT_IP_PER_MIN=20        preguntas por minuto por IP
+//   RATE_LIMIT_SESSION_PER_MIN=8    preguntas por minuto por sesión (IP + sessionId)
+//   DAILY_TOKENS_IP=150000          tokens por día por IP (0 = sin límite)
+//   DAILY_TOKENS_SESSION=50000      tokens por día por sesión (0 = sin límite)
+//   DAILY_TOKENS_TOTAL=0            tokens por día de todo el servidor (0 = sin límite)
+// Detrás de un proxy (nginx, Render, ...) hay que poner TRUST_PROXY para que la IP sea la real.
+//
+// El sessionId lo elige el cliente: cambiarlo en cada pregunta esquiva el límite por sesión.
+// Por eso la clave de sesión se arma en el servidor con la IP (una sesión nunca cuenta fuera
+// de su IP ni gasta el presupuesto de otra) y los límites que se hacen cumplir siempre son
+// los por IP y el total; el de sesión solo reparte más fino entre pestañas de una misma IP.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function intFrom(v, def, min, max) {
+  const n = Number.parseInt(v, 10);
+  return Number.isFinite(n) ? Math.min(max, Math.max(min, n)) : def;
+}
+
+export function limitError(status, code, message, retryAfterMs = 0) {
+  return Object.assign(new Error(message), { status, code, retryAfter: Math.ceil(retryAfterMs / 1000) });
+}
+
+// ~4 caracteres por token (español); alcanza para presupuestar, no para facturar
+export function estimateTokens(...texts) {
+  const chars = texts.reduce((acc, t) => acc + String(t ?? "").length, 0);
+  return Math.ceil(chars / 4);
+}
+
+// Ventana deslizante: a lo sumo max eventos por clave en windowMs
+export function createRateLimiter({ windowMs = 60 * 1000, max = 20, maxKeys = 10000 } = {}) {
+  const hits = new Map(); // clave -> [timestamps]
+
+  function prune(now) {
+    for (const [key, list] of hits) {
+      if (!list.length || now - list[list.length - 1] >= windowMs) hits.delete(key);
+    }
+    // Map en orden de inserción: se van primero las claves más antiguas
+    while (hits.size > maxKeys) hits.delete(hits.keys().next().value);
+  }
+
+  function recent(key, now) {
+    return (hits.get(key) || []).filter(t => now - t < windowMs);
+  }
+
+  // ¿Cabe un evento más? Sin registrarlo; { ok, remaining, retryAfterMs }
+  function peek(key, now = Date.now()) {
+    if (!max) return { ok: true, remaining: Infinity, retryAfterMs: 0 };
+    const list = recent(key, now);
+    if (list.length >= max) return { ok: false, remaining: 0, retryAfterMs: windowMs - (now - list[0]) };
+    return { ok: true, remaining: max - list.length, retryAfterMs: 0 };
+  }
+
+  // Registra el evento si cabe; { ok, remaining, retryAfterMs }
+  function hit(key, now = Date.now()) {
+    if (!max) return { ok: true, remaining: Infinity, retryAfterMs: 0 };
+    if (hits.size > maxKeys) prune(now);
+    const list = recent(key, now);
+    if (list.length >= max) {
+      hits.set(key, list);
+      return { ok: false, remaining: 0, retryAfterMs: windowMs - (now - list[0]) };
+    }
+    list.push(now);
+    hits.delete(key);
+    hits.set(key, list);
+    return { ok: true, remaining: max - list.length, retryAfterMs: 0 };
+  }
+
+  return { hit, peek, windowMs, max };
+}
+
+// Tokens gastados por clave en el día (UTC); limit 0 = sin límite
+export function createDailyBudget({ limit = 0 } = {}) {
+  let day = null;
+  const spent = new Map();
+
+  function roll(now) {
+    const today = new Date(now).toISOString().slice(0, 10);
+    if (today !== day) {
+      day = today;
+      spent.clear();
+    }
+  }
+
+  function msToReset(now) {
+    return DAY_MS - (now % DAY_MS);
+  }
+
+  function remaining(key, now = Date.now()) {
+    if (!limit) return Infinity;
+    roll(now);
+    return Math.max(0, limit - (spent.get(key) || 0));
+  }
+
+  function spend(key, tokens, now = Date.now()) {
+    if (!limit || !tokens) return;
+    roll(now);
+    spent.set(key, (spent.get(key) || 0) + tokens);
+  }
+
+  return { limit, remaining, spend, msToReset };
+}
+
+export function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || "unknown";
+}
+
+export function createChatLimits({ env = process.env } = {}) {
+  const MAX_CHARS = intFrom(env.CHAT_MAX_CHARS, 1000, 50, 20000);
+  const perIp = createRateLimiter({ max: intFrom(env.RATE_LIMIT_IP_PER_MIN, 20, 0, 10000) });
+  const perSession = createRateLimiter({ max: intFrom(env.RATE_LIMIT_SESSION_PER_MIN, 8, 0, 10000) });
+  const budgets = {
+    ip: createDailyBudget({ limit: intFrom(env.DAILY_TOKENS_IP, 150000, 0, 1e9) }),
+    session: createDailyBudget({ limit: intFrom(env.DAILY_TOKENS_SESSION, 50000, 0, 1e9) }),
+    total: createDailyBudget({ limit: intFrom(env.DAILY_TOKENS_TOTAL, 0, 0, 1e10) })
+  };
+
+  // IP + sessionId (null sin sessionId válido: solo cuentan los límites por IP)
+  function sessionKey(req) {
+    const id = req.body?.sessionId;
+    return typeof id === "string" && /^[\w-]{8,64}$/.test(id) ? `${clientIp(req)}|${id}` : null;
+  }
+
+  // Claves de presupuesto de la petición: [[budget, key]]
+  function budgetKeys(req) {
+    const keys = [[budgets.ip, clientIp(req)], [budgets.total, "*"]];
+    const sid = sessionKey(req);
+    if (sid) keys.push([budgets.session, sid]);
+    return keys;
+  }
+
+  // Lanza 400/413/429 (limitError) o devuelve el mensaje recortado
+  function check(req) {
+    const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+    if (!message) throw limitError(400, "missing_message", "Falta message.");
+    if (message.length > MAX_CHARS) {
+      throw limitError(413, "message_too_long", `La pregunta es demasiado larga (máx. ${MAX_CHARS} caracteres).`);
+    }
+
+    for (const [budget, key] of budgetKeys(req)) {
+      if (budget.remaining(key) <= 0) {
+        throw limitError(429, "daily_budget", "Se alcanzó el límite diario de uso del chat. Vuelve a intentarlo mañana.", budget.msToReset(Date.now()));
+      }
+    }
+
+    // primero se miran las dos ventanas y solo si ambas dejan pasar se registra en las dos:
+    // una pregunta rechazada por sesión no gasta la ventana de la IP (ni al revés)
+    const windows = [[perIp, clientIp(req)]];
+    const sid = sessionKey(req);
+    if (sid) windows.push([perSession, sid]);
+    for (const [limiter, key] of windows) {
+      const r = limiter.peek(key);
+      if (!r.ok) throw limitError(429, "rate_limited", "Demasiadas preguntas seguidas. Espera un momento.", r.retryAfterMs);
+    }
+    for (const [limiter, key] of windows) limiter.hit(key);
+    return message;
+  }
+
+  // Middleware para las rutas del chat: responde el error en JSON (con Retry-After en 429)
+  function guard(req, res, next) {
+    try {
+      check(req);
+      next();
+    } catch (e) {
+      sendLimitError(res, e);
+    }
+  }
+
+  function charge(req, tokens) {
+    for (const [budget, key] of budgetKeys(req)) budget.spend(key, tokens);
+  }
+
+  return { MAX_CHARS, check, guard, charge };
+}
+
+export function sendLimitError(res, e) {
+  if (e.retryAfter) res.set("Retry-After", String(e.retryAfter));
+  res.status(e.status || 429).json({ ok: false, code: e.code || null, error: String(e?.message || e), retryAfter: e.retryAfter || null });
+}
+
+// Limitador simple por IP como middleware (p. ej. /api/feedback)
+export function rateLimitByIp({ windowMs = 60 * 1000, max = 20, message = "Demasiadas solicitudes. Espera un momento." } = {}) {
+  const limiter = createRateLimiter({ windowMs, max });
+  return (req, res, next) => {
+    const r = limiter.hit(clientIp(req));
+    if (r.ok) return next();
+    sendLimitError(res, limitError(429, "rate_limited", message, r.retryAfterMs));
+  };
+}
@@ -0,0 +1,230 @@
+// lib/providers.js (ESM)
+// Proveedores de IA intercambiables (embeddings + generación).
+//
+// Todos exponen la misma interfaz:
+//   provider.name                        -> "openai" | "local"
+//   provider.embedModel / chatModel      -> se guardan en kb.meta
+//   await provider.embed(texts)          -> number[][]
+//   await provider.generate({ system, prompt, question, query, contexts, maxTokens }) -> string
+//   provider.stream({ ...mismos argumentos })  -> async iterable de trozos de texto
+//   await provider.condense({ history, question }) -> consulta autónoma para retrieve()
+//
+// Se elige con AI_PROVIDER en .env (por defecto "openai").
+// "local" funciona 100% offline: embeddings por hashing (TF con pesos log)
+// y respuestas extractivas armadas con oraciones de los contextos.
+
+import { tokenize, uniqueTokens, splitSentences } from "./text.js";
+import { formatHistory, condenseHeuristic, looksLikeFollowUp } from "./conversation.js";
+import { citationLabel } from "./citations.js";
+import { OMITTED } from "./injection.js";
+
+export const PROVIDERS = ["openai", "local"];
+
+export function createProvider(name = process.env.AI_PROVIDER || "openai", env = process.env) {
+  const kind = String(name || "").trim().toLowerCase();
+  if (kind === "openai") return createOpenAIProvider(env);
+  if (kind === "local") return createLocalProvider(env);
+  throw new Error(`AI_PROVIDER desconocido: "${name}" (usa: ${PROVIDERS.join(", ")}).`);
+}
+
+// ---------- OpenAI ----------
+function createOpenAIProvider(env) {
+  const embedModel = env.EMBED_MODEL || "text-embedding-3-large";
+  const chatModel = env.CHAT_MODEL || "gpt-4o-mini";
+
+  // el SDK se carga recién al usarlo: el modo local no necesita tenerlo instalado
+  let clientPromise = null;
+  const getClient = () => {
+    if (!clientPromise) {
+      clientPromise = import("openai").then(({ default: OpenAI }) => new OpenAI({ apiKey: env.OPENAI_API_KEY }));
+    }
+    return clientPromise;
+  };
+
+  async function complete(system, prompt, maxTokens) {
+    const client = await getClient();
+    const resp = await client.responses.create({
+      model: chatModel,
+      input: [
+        { role: "system", content: system },
+        { role: "user", content: prompt }
+      ],
+      max_output_tokens: maxTokens
+    });
+    return (resp.output_text || "").trim();
+  }
+
+  return {
+    name: "openai",
+    embedModel,
+    chatModel,
+
+    async embed(texts) {
+      const client = await getClient();
+      const resp = await client.embeddings.create({
+        model: embedModel,
+        input: texts
+      });
+      return resp.data.map(d => d.embedding);
+    },
+
+    async generate({ system, prompt, maxTokens = 1100 }) {
+      return await complete(system, prompt, maxTokens);
+    },
+
+    async *stream({ system, prompt, maxTokens = 1100 }) {
+      const client = await getClient();
+      const events = await client.responses.create({
+        model: chatModel,
+        input: [
+          { role: "system", content: system },
+          { role: "user", content: prompt }
+        ],
+        max_output_tokens: maxTokens,
+        stream: true
+      });
+      for await (const ev of events) {
+        if (ev.type === "response.output_text.delta" && ev.delta) yield ev.delta;
+      }
+    },
+
+    async condense({ history = [], question }) {
+      if (!history.length || !looksLikeFollowUp(question)) return question;
+      const system = [
+        "Reescribe la última pregunta del usuario como una consulta de búsqueda autónoma en español,",
+        "incorporando del historial solo el contexto necesario para entenderla.",
+        "Devuelve SOLO la consulta, sin comillas ni explicaciones."
+      ].join(" ");
+      const prompt = `HISTORIAL:\n${formatHistory(history, 400)}\n\nPREGUNTA DE SEGUIMIENTO:\n${question}`;
+      try {
+        const out = await complete(system, prompt, 120);
+        return out.split("\n")[0].trim() || question;
+      } catch {
+        return condenseHeuristic(history, question);
+      }
+    }
+  };
+}
+
+// ---------- Local (offline) ----------
+function createLocalProvider(env) {
+  const dim = clampDim(env.LOCAL_EMBED_DIM);
+
+  return {
+    name: "local",
+    embedModel: `local-hash-${dim}`,
+    chatModel: "local-extractive",
+
+    async embed(texts) {
+      return texts.map(t => hashEmbedding(t, dim));
+    },
+
+    // query: la consulta condensada (si hubo historial) puntúa mejor las oraciones
+    async generate({ question, query, contexts = [], maxTokens = 1100 }) {
+      return composeExtractiveAnswer(query || question, contexts, maxTokens);
+    },
+
+    // la respuesta extractiva es instantánea: se entrega palabra a palabra
+    async *stream({ question, query, contexts = [], maxTokens = 1100 }) {
+      const text = composeExtractiveAnswer(query || question, contexts, maxTokens);
+      for (const piece of text.match(/\S+\s*/g) || []) yield piece;
+    },
+
+    async condense({ history = [], question }) {
+      return condenseHeuristic(history, question);
+    }
+  };
+}
+
+function clampDim(val) {
+  const n = Number(val);
+  if (!Number.isFinite(n)) return 1024;
+  return Math.max(128, Math.min(8192, Math.trunc(n)));
+}
+
+// FNV-1a 32 bits
+function hash32(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+// Vector "hashing trick": unigramas + bigramas, TF sublineal, normalizado L2
+export function hashEmbedding(text, dim = 1024) {
+  const toks = tokenize(text);
+  const feats = new Map();
+  const add = (f, w) => feats.set(f, (feats.get(f) || 0) + w);
+
+  for (let i = 0; i < toks.length; i++) {
+    add(toks[i], 1);
+    if (i + 1 < toks.length) add(`${toks[i]}_${toks[i + 1]}`, 0.5);
+  }
+
+  const vec = new Array(dim).fill(0);
+  for (const [f, tf] of feats) {
+    const h = hash32(f);
+    const sign = (h & 0x80000000) ? -1 : 1;
+    vec[h % dim] += sign * (1 + Math.log(tf));
+  }
+
+  let norm = 0;
+  for (const x of vec) norm += x * x;
+  norm = Math.sqrt(norm);
+  return norm ? vec.map(x => x / norm) : vec;
+}
+
+// Respuesta extractiva: oraciones de los contextos con más términos de la pregunta,
+// en orden de aparición y citadas igual que pide el prompt de OpenAI. Las marcas de
+// instrucción omitida (contextos saneados, lib/injection.js) cortan oración y no se citan.
+export function composeExtractiveAnswer(question, contexts, maxTokens = 1100) {
+  const qTok = uniqueTokens(question);
+  const budget = Math.max(300, maxTokens * 3); // ~3-4 caracteres por token
+
+  const candidates = [];
+  contexts.forEach((c, ci) => {
+    c.text.split(OMITTED).flatMap(splitSentences).forEach((sentence, si) => {
+      const sTok = new Set(tokenize(sentence));
+      let hits = 0;
+      for (const t of qTok) if (sTok.has(t)) hits++;
+      if (!hits || sentence.length < 25) return;
+      candidates.push({ ci, si, sentence, score: hits / Math.sqrt(sTok.size || 1) });
+    });
+  });
+
+  if (!candidates.length) {
+    return "No encontré evidencia suficiente en los documentos para responder. Revisa los documentos de /docs o reformula la pregunta con otras palabras clave.";
+  }
+
+  candidates.sort((a, b) => b.score - a.score);
+
+  const picked = [];
+  let used = 0;
+  for (const c of candidates) {
+    if (used + c.sentence.length > budget) continue;
+    picked.push(c);
+    used += c.sentence.length;
+    if (picked.length >= 8) break;
+  }
+
+  picked.sort((a, b) => a.ci - b.ci || a.si - b.si);
+
+  const paragraphs = [];
+  let cur = null;
+  for (const p of picked) {
+    if (!cur || cur.ci !== p.ci) {
+      cur = { ci: p.ci, sentences: [] };
+      paragraphs.push(cur);
+    }
+    cur.sentences.push(p.sentence);
+  }
+
+  return paragraphs
+    .map(p => {
+      const c = contexts[p.ci];
+      return `${p.sentences.join(" ")} ${citationLabel(c)}`;
+    })
+    .join("\n\n");
+}
@@ -0,0 +1,109 @@
+// lib/public.js (ESM)
+// Qué se puede descargar del servidor. Antes se servía toda la carpeta del proyecto
+// (express.static): server.js, tools/, .env, kb_udl.json, backups/, logs/...
+//
+//   app.use(createPublicHandler({ root: process.cwd(), docsDir: "docs" }));
+//
+// - Raíz: solo PUBLIC_FILES (páginas, libs UMD que cargan con <script>, datasets que lee
+//   chat.html) e imágenes sueltas. kb.json es público a propósito: es la base del modo
+//   sin servidor de chat.html; la KB del RAG (kb_udl.json + .vec) no.
+// - /docs/<archivo>: documentos con extensión de DOC_TYPES y docs/docs.json (la portada);
+//   nada de subcarpetas ni ocultos (los .upload-*.tmp de lib/docs.js).
+//   Los documentos los sube admin.html y salen del mismo origen que admin.html (que guarda
+//   ADMIN_TOKEN en sessionStorage): un .html con <script> sería XSS. Por eso solo los PDF se
+//   abren en el navegador (los enlaces #page=N de las citas); el resto se descarga
+//   (Content-Disposition: attachment, CSP sandbox) y ninguno pasa por el sniffing de tipos.
+// - Todo lo demás sigue de largo (next) y termina en 404.
+
+import path from "path";
+import { CATALOG, docType } from "./docs.js";
+
+export const PUBLIC_FILES = new Set([
+  "index.html",
+  "chat.html",
+  "demo.html",
+  "admin.html",
+  // <script src> de chat.html
+  "lib/datasets.js",
+  "lib/search.js",
+  "lib/filters.js",
+  // KB y QA_FILES de chat.html (búsqueda local)
+  "kb.json",
+  "preguntas_em09.json",
+  "preguntas_universidad_alba_300.json",
+  "preguntas_universidades_futuro_enriquecido.json",
+  "preguntas_estrategia_educacion_superior_enriquecido.json",
+  "preguntas_autores_objetivos_150.json",
+  "directrices_paises_QA_50.json",
+  "directrices_paises_QA_50_enriquecido.json",
+  "autores_vs_objetivos_QA_50_enriquecido.json",
+  "estrategia_es_QA_50_enriquecido.json",
+  "universidades_futuro_QA_50.json"
+]);
+
+// Imágenes en la raíz (logo, avatar, QR)
+const IMAGE_RE = /^[\w-][\w .-]*\.(?:png|jpe?g|gif|svg|webp|ico)$/i;
+
+// Ruta pedida -> relativa a la raíz ("/lib/search.js" -> "lib/search.js"); null si no es válida
+function relPath(reqPath) {
+  let p;
+  try {
+    p = decodeURIComponent(reqPath);
+  } catch {
+    return null;
+  }
+  if (p.includes("\0") || p.includes("\\")) return null;
+  return p.replace(/^\/+/, "");
+}
+
+export function isPublicFile(rel) {
+  return PUBLIC_FILES.has(rel) || (!rel.includes("/") && IMAGE_RE.test(rel));
+}
+
+export function isPublicDoc(name) {
+  if (!name || name.includes("/") || name.startsWith(".")) return false;
+  return name === CATALOG || !!docType(name);
+}
+
+// attachment con el nombre en ASCII (fallback) y en UTF-8 (RFC 5987) para los acentos
+function contentDisposition(name) {
+  const ascii = name.normalize("NFD").replace(/[^\x20-\x7e]/g, "").replace(/["\\]/g, "_");
+  const encoded = encodeURIComponent(name).replace(/['()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+  return `attachment; filename="${ascii}"; filename*=UTF-8''${encoded}`;
+}
+
+// Cabeceras de un documento de docs/ (no del catálogo docs.json)
+function docHeaders(name) {
+  const headers = { "X-Content-Type-Options": "nosniff" };
+  if (path.extname(name).toLowerCase() === ".pdf") return headers;
+  return {
+    ...headers,
+    "Content-Disposition": contentDisposition(name),
+    "Content-Security-Policy": "sandbox"
+  };
+}
+
+export function createPublicHandler({ root = process.cwd(), docsDir = path.resolve("docs") } = {}) {
+  return function publicFiles(req, res, next) {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+    const rel = relPath(req.path);
+    if (rel === null) return next();
+
+    let file = null;
+    let base = null;
+    let headers = {};
+    if (rel.startsWith("docs/")) {
+      const name = rel.slice("docs/".length);
+      if (isPublicDoc(name)) [base, file] = [docsDir, name];
+      if (file && name !== CATALOG) headers = docHeaders(name);
+    } else if (isPublicFile(rel)) {
+      [base, file] = [root, rel];
+    }
+    if (!file) return next();
+
+    // el documento puede no existir (o haberse borrado): 404 normal, sin detalles de la ruta
+    res.sendFile(file, { root: base, dotfiles: "deny", headers }, (err) => {
+      if (err && !res.headersSent) next();
+    });
+  };
+}
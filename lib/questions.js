@@ -0,0 +1,209 @@
+// lib/questions.js (ESM)
+// Registro de preguntas del chat y análisis de lo que no se pudo responder.
+//
+//   logs/questions-YYYY-MM-DD.jsonl   una línea por turno:
+//   { at, sessionId, question, query, filters, relaxed, sources: [{ doc, pages, section, score, similarity, bm25 }],
+//     topScore, topSimilarity, answerChars, unanswered, injection, grounding: { score, low, action }, mode, ms }
+//
+//   const log = createQuestionLog({ dir: "logs" });
+//   log.record({ ... });                  -> append (no bloquea la respuesta; los errores solo se avisan)
+//   analyzeQuestions(log.read({ days: 30 }))
+//     -> { total, sessions, unanswered, low, injections, clusters, unansweredClusters, unansweredQuestions, lowScoreQuestions }
+//
+// QUESTION_LOG=0 lo desactiva. unanswered = lo decide la búsqueda y la verificación, no el texto
+// de la respuesta: no hubo contextos o el grounding la rechazó (action "refused"); low = respondida
+// pero con respaldo bajo; injection = patrones de lib/injection.js en la pregunta (no cuentan como
+// frecuentes ni pendientes).
+//
+// Solo se registran los turnos que pasan por el servidor (/api/chat y /api/chat/stream). El modo
+// local de chat.html (sin servidor, ?api=0 o con el servidor caído) responde en el navegador y no
+// queda en el log.
+
+import fs from "fs";
+import path from "path";
+import { tokenize } from "./text.js";
+
+const FILE_RE = /^questions-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+const MAX_QUESTION = 2000;
+
+function dayOf(date) {
+  return new Date(date).toISOString().slice(0, 10);
+}
+
+// Sin contextos recuperados, o la verificación reemplazó la respuesta por el rechazo
+export function isUnanswered(contexts, grounding = null) {
+  return !contexts?.length || grounding?.action === "refused";
+}
+
+// Entrada del log a partir de lo que ya calculan las rutas del chat
+export function questionEntry({ sessionId, question, query, filters, relaxed, sources = [], answer, grounding, mode, startedAt, injection = [] }) {
+  const top = sources[0] || null;
+  return {
+    at: new Date().toISOString(),
+    sessionId: sessionId || null,
+    question: String(question || "").slice(0, MAX_QUESTION),
+    query: query && query !== question ? String(query).slice(0, MAX_QUESTION) : null,
+    filters: filters && Object.keys(filters).length ? filters : null,
+    relaxed: !!relaxed,
+    sources: sources.map(s => ({
+      doc: s.doc,
+      pages: s.pages ?? null,
+      section: s.section ?? null,
+      score: s.score ?? null,
+      similarity: s.similarity ?? null,
+      bm25: s.bm25 ?? null
+    })),
+    topScore: top?.score ?? null,
+    topSimilarity: top?.similarity ?? null,
+    answerChars: String(answer || "").length,
+    // un intento de inyección (lib/injection.js) no es una pregunta pendiente de responder
+    unanswered: !injection.length && isUnanswered(sources, grounding),
+    injection: injection.length ? injection : null,
+    grounding: grounding ? { score: grounding.score, low: !!grounding.low, action: grounding.action || "none" } : null,
+    mode: mode || null,
+    ms: startedAt ? Date.now() - startedAt : null
+  };
+}
+
+export function createQuestionLog({ dir = path.resolve("logs"), env = process.env } = {}) {
+  const enabled = env.QUESTION_LOG !== "0";
+
+  // los append van de a uno para que las líneas no se mezclen
+  let chain = Promise.resolve();
+
+  function record(entry) {
+    if (!enabled || !entry) return;
+    const line = JSON.stringify(entry) + "\n";
+    const file = path.join(dir, `questions-${dayOf(entry.at || Date.now())}.jsonl`);
+    chain = chain
+      .then(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.appendFile(file, line, "utf8");
+      })
+      .catch(e => console.warn(`⚠️ No se pudo registrar la pregunta: ${e?.message || e}`));
+  }
+
+  // Archivos del log, los más nuevos primero; days: solo los últimos N días (0 = todos)
+  function files({ days = 0 } = {}) {
+    if (!fs.existsSync(dir)) return [];
+    const from = days ? dayOf(Date.now() - (days - 1) * 24 * 60 * 60 * 1000) : null;
+    return fs.readdirSync(dir)
+      .map(name => ({ name, day: name.match(FILE_RE)?.[1] }))
+      .filter(f => f.day && (!from || f.day >= from))
+      .sort((a, b) => b.day.localeCompare(a.day))
+      .map(f => path.join(dir, f.name));
+  }
+
+  // Entradas (las líneas rotas se saltan: un corte a medio append no debe romper el análisis)
+  function read(opts = {}) {
+    const out = [];
+    for (const file of files(opts).reverse()) {
+      for (const line of fs.readFileSync(file, "utf8").split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          out.push(JSON.parse(line));
+        } catch {
+          // línea incompleta
+        }
+      }
+    }
+    return out;
+  }
+
+  // Espera los append pendientes
+  function flush() {
+    return chain;
+  }
+
+  return { dir, enabled, record, read, files, flush };
+}
+
+// ---------- Análisis ----------
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// Agrupa preguntas parecidas (tokens sin tildes ni stopwords, Jaccard >= threshold contra
+// la primera pregunta del grupo). Greedy y O(n·grupos): alcanza para miles de preguntas.
+export function clusterQuestions(entries, { threshold = 0.5 } = {}) {
+  const clusters = [];
+  for (const e of entries) {
+    const toks = new Set(tokenize(e.question));
+    if (!toks.size) continue;
+    let best = null;
+    let bestSim = 0;
+    for (const c of clusters) {
+      const sim = jaccard(toks, c.tokens);
+      if (sim > bestSim) {
+        best = c;
+        bestSim = sim;
+      }
+    }
+    if (!best || bestSim < threshold) {
+      best = { tokens: toks, entries: [] };
+      clusters.push(best);
+    }
+    best.entries.push(e);
+  }
+
+  return clusters
+    .map(c => {
+      const variants = new Map();
+      for (const e of c.entries) {
+        const q = e.question.trim();
+        variants.set(q, (variants.get(q) || 0) + 1);
+      }
+      const examples = [...variants].sort((a, b) => b[1] - a[1]).map(([q]) => q);
+      const unanswered = c.entries.filter(e => e.unanswered).length;
+      const scores = c.entries.map(e => e.grounding?.score).filter(s => s != null);
+      return {
+        question: examples[0],
+        count: c.entries.length,
+        sessions: new Set(c.entries.map(e => e.sessionId).filter(Boolean)).size,
+        unanswered,
+        avgGrounding: scores.length ? Number((scores.reduce((a, s) => a + s, 0) / scores.length).toFixed(3)) : null,
+        lastAt: c.entries.reduce((a, e) => (e.at > a ? e.at : a), ""),
+        examples: examples.slice(0, 5)
+      };
+    })
+    .sort((a, b) => b.count - a.count || b.lastAt.localeCompare(a.lastAt));
+}
+
+// minSimilarity: además de grounding.low, cuenta como "low" la similitud del mejor contexto
+// bajo ese umbral (depende del modelo de embeddings, por eso no hay valor por defecto)
+export function isLowScore(e, { minSimilarity = null } = {}) {
+  if (e.unanswered) return false;
+  if (e.grounding?.low) return true;
+  return minSimilarity != null && e.topSimilarity != null && e.topSimilarity < minSimilarity;
+}
+
+export function analyzeQuestions(entries, { top = 20, threshold = 0.5, minSimilarity = null } = {}) {
+  const unanswered = entries.filter(e => e.unanswered);
+  const low = entries.filter(e => isLowScore(e, { minSimilarity }));
+  const brief = (e) => ({
+    at: e.at,
+    question: e.question,
+    topScore: e.topScore,
+    topSimilarity: e.topSimilarity,
+    grounding: e.grounding?.score ?? null,
+    docs: [...new Set((e.sources || []).map(s => s.doc))].slice(0, 3)
+  });
+
+  return {
+    total: entries.length,
+    sessions: new Set(entries.map(e => e.sessionId).filter(Boolean)).size,
+    from: entries[0]?.at || null,
+    to: entries[entries.length - 1]?.at || null,
+    unanswered: unanswered.length,
+    low: low.length,
+    injections: entries.filter(e => e.injection).length,
+    // preguntas frecuentes, y las que más se repiten sin respuesta: las Q&A a escribir primero
+    clusters: clusterQuestions(entries.filter(e => !e.injection), { threshold }).slice(0, top),
+    unansweredClusters: clusterQuestions(unanswered, { threshold }).slice(0, top),
+    unansweredQuestions: unanswered.slice(-top).reverse().map(brief),
+    lowScoreQuestions: low.slice(-top).reverse().map(brief)
+  };
+}
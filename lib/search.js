@@ -0,0 +1,71 @@
+// lib/search.js
+// Buscador por palabras clave de chat.html (modo sin servidor).
+// Lo usan chat.html (<script src>, window.AlbabotSearch) y tools/kb/eval.js (require),
+// así la evaluación mide exactamente el mismo ranking que ve el usuario.
+//
+//   const ranked = AlbabotSearch.rankBlocks(blocks, "microcredenciales", { weights });
+//   -> [{ b, s }] ordenado por puntaje (s > 0)
+
+(function (root, factory) {
+  if (typeof module === "object" && module.exports) module.exports = factory();
+  else root.AlbabotSearch = factory();
+})(typeof self !== "undefined" ? self : this, function () {
+  "use strict";
+
+  // Pesos de scoreBlock: frase completa / tag / título / id / texto / tiene fuente
+  const DEFAULT_WEIGHTS = Object.freeze({ phrase: 18, tag: 10, title: 6, id: 4, text: 2, source: 1 });
+
+  const STOP = new Set(["de","la","el","los","las","y","o","un","una","para","por","en","a","del","al","que","con","sin","sobre","como","mas","más","es","son","se","su","sus"]);
+
+  function normalize(s) {
+    return (s || "")
+      .toString()
+      .toLowerCase()
+      .normalize("NFD").replace(/[\u0300-\u036f]/g, "")
+      .replace(/[^a-z0-9\s\-_]/g, " ")
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  function tokens(q) {
+    const t = normalize(q).split(" ").filter(Boolean).filter(w => !STOP.has(w));
+    return [...new Set(t)];
+  }
+
+  function scoreBlock(b, qTokens, qNorm, weights) {
+    const w = weights || DEFAULT_WEIGHTS;
+    const title = normalize(b.title);
+    const text  = normalize(b.text);
+    const id    = normalize(b.id);
+    const tags  = Array.isArray(b.tags) ? b.tags.map(normalize) : [];
+
+    let s = 0;
+
+    if (qNorm && (title.includes(qNorm) || text.includes(qNorm))) s += w.phrase;
+
+    for (const t of qTokens) {
+      if (tags.includes(t))  s += w.tag;
+      if (title.includes(t)) s += w.title;
+      if (id.includes(t))    s += w.id;
+      if (text.includes(t))  s += w.text;
+    }
+
+    if (b.source) s += w.source;
+    return s;
+  }
+
+  // opts.weights: pesos parciales (se completan con DEFAULT_WEIGHTS)
+  function rankBlocks(blocks, q, opts) {
+    const o = opts || {};
+    const weights = Object.assign({}, DEFAULT_WEIGHTS, o.weights || {});
+    const qNorm = normalize(q);
+    const qTok  = tokens(q);
+
+    return blocks
+      .map(b => ({ b, s: scoreBlock(b, qTok, qNorm, weights) }))
+      .filter(x => x.s > 0)
+      .sort((a, b) => b.s - a.s);
+  }
+
+  return { DEFAULT_WEIGHTS, STOP, normalize, tokens, scoreBlock, rankBlocks };
+});
@@ -0,0 +1,41 @@
+// lib/text.js (ESM)
+// Utilidades de texto compartidas (normalización, tokens, oraciones).
+
+export const STOP = new Set([
+  "de", "la", "el", "los", "las", "y", "o", "u", "un", "una", "unos", "unas",
+  "para", "por", "en", "a", "del", "al", "que", "con", "sin", "sobre", "como",
+  "mas", "es", "son", "se", "su", "sus", "lo", "le", "les", "este", "esta",
+  "estos", "estas", "ese", "esa", "entre", "cual", "cuales", "donde", "cuando",
+  "the", "of", "and"
+]);
+
+// minúsculas + sin tildes (é -> e, ñ -> n)
+export function foldAccents(s) {
+  return (s || "")
+    .toString()
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "");
+}
+
+// Tokens "buscables": conserva dígitos, puntos internos (1.1) y "+" (I+D)
+export function tokenize(s) {
+  return foldAccents(s)
+    .replace(/[^a-z0-9+.\s]/g, " ")
+    .split(/\s+/)
+    .map(t => t.replace(/^[.+]+|[.+]+$/g, ""))
+    .filter(t => t && !STOP.has(t));
+}
+
+export function uniqueTokens(s) {
+  return [...new Set(tokenize(s))];
+}
+
+export function splitSentences(text) {
+  const s = (text || "").replace(/\s+/g, " ").trim();
+  if (!s) return [];
+  return s
+    .split(/(?<=[.!?…])\s+(?=[¿¡"“(A-ZÁÉÍÓÚÑ0-9•-])/)
+    .map(x => x.trim())
+    .filter(Boolean);
+}
@@ -0,0 +1,165 @@
+// lib/vectors.js (ESM)
+// Almacén binario de embeddings (reemplaza los arrays JSON de kb_udl.json).
+//
+//   const store = createVectorStore(embeddings, { dtype: "int8" });
+//   store.dot(qVec, i)      -> similitud coseno con el chunk i (los vectores van normalizados)
+//   store.get(i)            -> Float32Array (des-cuantizado si es int8)
+//   await writeVectorFile(file, store, { id, graph });
+//   const { store, graph } = readVectorFile(file);
+//
+// Formato del archivo (little-endian):
+//   0   "ALBV"                 magic
+//   4   u32 versión            (1)
+//   8   u32 dim
+//   12  u32 count
+//   16  u32 dtype              (0 = float32, 1 = int8)
+//   20  u32 bytes del grafo    (0 = sin índice ANN)
+//   24  16 bytes id de build   (hex en kb.meta.vectors.id: detecta JSON/vectores desparejos)
+//   40  datos: float32 -> count*dim*4
+//              int8    -> count*4 (escala f32 por vector) + count*dim
+//   ..  grafo HNSW serializado (lib/hnsw.js), si lo hay
+
+import fs from "fs";
+import fsp from "fs/promises";
+
+const MAGIC = "ALBV";
+const FILE_VERSION = 1;
+const HEADER_BYTES = 40;
+
+export const DTYPES = ["float32", "int8"];
+
+function normalized(vec) {
+  const out = Float32Array.from(vec);
+  let norm = 0;
+  for (let i = 0; i < out.length; i++) norm += out[i] * out[i];
+  norm = Math.sqrt(norm);
+  if (norm > 0) for (let i = 0; i < out.length; i++) out[i] /= norm;
+  return out;
+}
+
+// data: Float32Array (count*dim) o Int8Array (count*dim) + scales: Float32Array (count)
+function storeFrom({ dim, count, dtype, data, scales }) {
+  function dot(q, i) {
+    const off = i * dim;
+    let s = 0;
+    for (let j = 0; j < dim; j++) s += q[j] * data[off + j];
+    return dtype === "int8" ? s * scales[i] : s;
+  }
+
+  function get(i) {
+    const off = i * dim;
+    if (dtype === "float32") return data.slice(off, off + dim);
+    const out = new Float32Array(dim);
+    for (let j = 0; j < dim; j++) out[j] = data[off + j] * scales[i];
+    return out;
+  }
+
+  // Similitud de q (ya normalizado) contra todos: búsqueda exacta
+  function scores(q) {
+    const out = new Float32Array(count);
+    for (let i = 0; i < count; i++) out[i] = dot(q, i);
+    return out;
+  }
+
+  return {
+    dim, count, dtype, data, scales,
+    bytes: data.byteLength + (scales ? scales.byteLength : 0),
+    dot, get, scores
+  };
+}
+
+// embeddings: number[][] | Float32Array[] (todos de la misma dimensión)
+export function createVectorStore(embeddings, { dtype = "float32" } = {}) {
+  if (!DTYPES.includes(dtype)) throw new Error(`VECTOR_DTYPE desconocido: "${dtype}" (usa: ${DTYPES.join(", ")}).`);
+  const count = embeddings.length;
+  const dim = count ? embeddings[0].length : 0;
+
+  const data = dtype === "int8" ? new Int8Array(count * dim) : new Float32Array(count * dim);
+  const scales = dtype === "int8" ? new Float32Array(count) : null;
+
+  embeddings.forEach((emb, i) => {
+    if (!emb || emb.length !== dim) throw new Error(`Embedding ${i} con dimensión ${emb?.length ?? 0} (se esperaba ${dim}).`);
+    const v = normalized(emb);
+    if (dtype === "float32") {
+      data.set(v, i * dim);
+      return;
+    }
+    // int8 simétrico con una escala por vector (max |x| -> 127)
+    let max = 0;
+    for (let j = 0; j < dim; j++) max = Math.max(max, Math.abs(v[j]));
+    const scale = max / 127 || 1;
+    scales[i] = scale;
+    for (let j = 0; j < dim; j++) data[i * dim + j] = Math.round(v[j] / scale);
+  });
+
+  return storeFrom({ dim, count, dtype, data, scales });
+}
+
+// kb_udl.json -> kb_udl.vec
+export function vectorPathFor(kbPath) {
+  return kbPath.replace(/\.json$/i, "") + ".vec";
+}
+
+// Consulta -> Float32Array normalizado (para comparar con store.dot)
+export function queryVector(vec, dim) {
+  if (vec.length !== dim) {
+    throw new Error(`La consulta tiene dimensión ${vec.length} y la KB ${dim}: reconstruye la KB con el proveedor actual.`);
+  }
+  return normalized(vec);
+}
+
+// Se escribe a un temporal y se renombra: quien lea en paralelo ve el archivo viejo o el nuevo
+export async function writeVectorFile(file, store, { id, graph = null } = {}) {
+  const header = Buffer.alloc(HEADER_BYTES);
+  header.write(MAGIC, 0, "ascii");
+  header.writeUInt32LE(FILE_VERSION, 4);
+  header.writeUInt32LE(store.dim, 8);
+  header.writeUInt32LE(store.count, 12);
+  header.writeUInt32LE(DTYPES.indexOf(store.dtype), 16);
+  header.writeUInt32LE(graph ? graph.byteLength : 0, 20);
+  Buffer.from(String(id || "").padEnd(32, "0").slice(0, 32), "hex").copy(header, 24);
+
+  const parts = [header];
+  if (store.scales) parts.push(Buffer.from(store.scales.buffer, store.scales.byteOffset, store.scales.byteLength));
+  parts.push(Buffer.from(store.data.buffer, store.data.byteOffset, store.data.byteLength));
+  if (graph) parts.push(Buffer.from(graph.buffer, graph.byteOffset, graph.byteLength));
+
+  const tmp = `${file}.tmp`;
+  await fsp.writeFile(tmp, Buffer.concat(parts));
+  await fsp.rename(tmp, file);
+}
+
+// -> { id, store, graph: Uint8Array | null }
+export function readVectorFile(file) {
+  const buf = fs.readFileSync(file);
+  if (buf.length < HEADER_BYTES || buf.toString("ascii", 0, 4) !== MAGIC) {
+    throw new Error(`${file} no es un archivo de vectores de ALBABOT.`);
+  }
+  const version = buf.readUInt32LE(4);
+  if (version !== FILE_VERSION) throw new Error(`${file}: versión de vectores ${version} no soportada.`);
+
+  const dim = buf.readUInt32LE(8);
+  const count = buf.readUInt32LE(12);
+  const dtype = DTYPES[buf.readUInt32LE(16)];
+  const graphBytes = buf.readUInt32LE(20);
+  const id = buf.toString("hex", 24, 40);
+  if (!dtype) throw new Error(`${file}: tipo de vector desconocido.`);
+
+  const dataBytes = dtype === "int8" ? count * 4 + count * dim : count * dim * 4;
+  if (buf.length < HEADER_BYTES + dataBytes + graphBytes) throw new Error(`${file} está truncado.`);
+
+  // copia a un ArrayBuffer propio (alineado) para las vistas tipadas
+  let off = HEADER_BYTES;
+  const take = (bytes) => {
+    const ab = new ArrayBuffer(bytes);
+    new Uint8Array(ab).set(buf.subarray(off, off + bytes));
+    off += bytes;
+    return ab;
+  };
+
+  const scales = dtype === "int8" ? new Float32Array(take(count * 4)) : null;
+  const data = dtype === "int8" ? new Int8Array(take(count * dim)) : new Float32Array(take(count * dim * 4));
+  const graph = graphBytes ? new Uint8Array(take(graphBytes)) : null;
+
+  return { id, store: storeFrom({ dim, count, dtype, data, scales }), graph };
+}
@@ -1,336 +1,396 @@
 // server.js (ESM)
 // Requisitos: Node 18+
 // npm i express dotenv openai pdf-parse
+// (openai solo es necesario con AI_PROVIDER=openai; AI_PROVIDER=local funciona sin internet)
 
 import "dotenv/config";
-import fs from "fs";
-import fsp from "fs/promises";
 import path from "path";
 import express from "express";
-import pdfParse from "pdf-parse";
-import OpenAI from "openai";
+import { createProvider } from "./lib/providers.js";
+import { createSessionStore, formatHistory, looksLikeFollowUp } from "./lib/conversation.js";
+import { createRAG, clampInt, formatSources, EMPTY_ANSWER } from "./lib/rag.js";
+import { createBuildQueue } from "./lib/jobs.js";
+import { createBackupStore } from "./lib/backups.js";
+import { createDocStore, DOC_TYPES, ICONS } from "./lib/docs.js";
+import { requireAdmin } from "./lib/auth.js";
+import { createPublicHandler } from "./lib/public.js";
+import { createChatLimits, estimateTokens, rateLimitByIp } from "./lib/limits.js";
+import { createQuestionLog, questionEntry, analyzeQuestions } from "./lib/questions.js";
+import { createFeedbackStore, STATUSES } from "./lib/feedback.js";
+import { detectInjection, INJECTION_ANSWER } from "./lib/injection.js";
+import AlbabotFilters from "./lib/filters.js";
 
 const app = express();
-app.use(express.json({ limit: "2mb" }));
+app.use(express.json({ limit: "256kb" }));
 
-// Sirve estáticos desde la raíz del proyecto (para demo.html, index.html, imágenes, etc.)
-app.use(express.static(process.cwd()));
+// Detrás de un proxy: TRUST_PROXY=1 (saltos) | true | lista de IPs, para que req.ip sea la del cliente
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) app.set("trust proxy", /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY === "true" ? true : TRUST_PROXY);
+
+// Estáticos: solo la lista de lib/public.js (páginas, imágenes, datasets de chat.html) y
+// los documentos de docs/; el código, .env, kb_udl.json, backups/ y logs/ no se sirven
+app.use(createPublicHandler({ root: process.cwd(), docsDir: path.resolve("docs") }));
 
 const PORT = Number(process.env.PORT || 3000);
-const DOCS_DIR = path.resolve("docs");
-const KB_PATH = path.resolve("kb_udl.json");
 
-// Config (ajustable por .env)
-const TARGET_CHUNKS = clampInt(process.env.TARGET_CHUNKS, 150, 30, 800);
-const TOP_K = clampInt(process.env.TOP_K, 10, 3, 20);
-const PER_DOC_CAP = clampInt(process.env.PER_DOC_CAP, 3, 1, 10);
+// Proveedor de embeddings + generación: AI_PROVIDER=openai|local
+const provider = createProvider(process.env.AI_PROVIDER || "openai");
 
-const EMBED_MODEL = process.env.EMBED_MODEL || "text-embedding-3-large";
-const CHAT_MODEL = process.env.CHAT_MODEL || "gpt-4o-mini";
+// Respaldos (backups/): versiones de la KB y documentos reemplazados o borrados
+const backups = createBackupStore({ dir: path.resolve("backups") });
 
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+// Pipeline RAG (docs/ -> kb_udl.json -> retrieve -> respuesta); config por .env.
+// Las correcciones aceptadas (correcciones_QA.json) se consultan antes que la KB.
+const rag = createRAG({
+  provider,
+  docsDir: path.resolve("docs"),
+  kbPath: path.resolve("kb_udl.json"),
+  backups,
+  correctionsPath: path.resolve("correcciones_QA.json")
+});
+const {
+  listDocs, loadKB, retrieveFiltered, answerWithGrounding, streamAnswerWithContexts, groundingReport,
+  listBackups, diffVersions, rollbackKB
+} = rag;
+
+// Builds en segundo plano (uno a la vez); el chat sigue con la KB anterior hasta el cambio
+const builds = createBuildQueue({ rag });
+
+// Documentos de docs/ + fichas de la portada (docs/docs.json); se administran en admin.html
+const docStore = createDocStore({ docsDir: rag.config.docsDir, backups });
+
+// 👍/👎 del chat (feedback/); las correcciones aceptadas van a correcciones_QA.json, que el
+// RAG lee en caliente, y a kb.json (el chat sin servidor); ver lib/feedback.js
+const feedback = createFeedbackStore({
+  dir: path.resolve("feedback"),
+  kbPath: path.resolve("kb.json"),
+  datasetPath: path.resolve("correcciones_QA.json"),
+  backups
+});
 
-// ---------- Utilidades ----------
-function clampInt(val, def, min, max) {
-  const n = Number(val);
-  if (!Number.isFinite(n)) return def;
-  return Math.max(min, Math.min(max, Math.trunc(n)));
-}
+// Límites del chat (lib/limits.js): ritmo por IP / sesión, tokens diarios, largo del mensaje
+const chatLimits = createChatLimits();
 
-function normalizeWhitespace(s) {
-  return (s || "")
-    .replace(/\r\n/g, "\n")
-    .replace(/[ \t]+\n/g, "\n")
-    .replace(/\n{3,}/g, "\n\n")
-    .replace(/[ \t]{2,}/g, " ")
-    .trim();
+// Build, respaldos y administración: requieren ADMIN_TOKEN (lib/auth.js)
+const adminOnly = requireAdmin();
+
+// Memoria de conversación (en RAM): HISTORY_TURNS intercambios por sesión
+const HISTORY_TURNS = clampInt(process.env.HISTORY_TURNS, 4, 0, 20);
+const sessions = createSessionStore({
+  maxTurns: HISTORY_TURNS * 2,
+  ttlMs: clampInt(process.env.SESSION_TTL_MIN, 60, 5, 1440) * 60 * 1000
+});
+
+// Abre la sesión y reescribe la pregunta de seguimiento como consulta autónoma
+// ("¿y qué dice sobre el objetivo 2?" -> incluye el tema de la pregunta anterior)
+async function prepareTurn(sessionId, message) {
+  const session = sessions.open(sessionId);
+  const history = HISTORY_TURNS ? session.turns.slice() : [];
+  const query = history.length
+    ? await provider.condense({ history, question: message })
+    : message;
+  return { session, history, query, condenseTokens: condenseCost(history, message, query) };
 }
 
-function cosineSimilarity(a, b) {
-  let dot = 0, na = 0, nb = 0;
-  for (let i = 0; i < a.length; i++) {
-    const x = a[i], y = b[i];
-    dot += x * y;
-    na += x * x;
-    nb += y * y;
-  }
-  if (na === 0 || nb === 0) return 0;
-  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+// Tokens aproximados de provider.condense: con OpenAI una pregunta de seguimiento es otra
+// llamada al modelo (historial + pregunta -> consulta); el local no llama a nada
+function condenseCost(history, message, query) {
+  if (!history.length || provider.name === "local" || !looksLikeFollowUp(message)) return 0;
+  return estimateTokens(formatHistory(history, 400), message, query);
 }
 
-function chunkByParagraphs(text, chunkSizeChars, overlapChars) {
-  const parts = normalizeWhitespace(text).split(/\n\s*\n/).map(s => s.trim()).filter(Boolean);
-  const chunks = [];
-  let cur = "";
-
-  const push = (t) => {
-    const v = t.trim();
-    if (v) chunks.push(v);
-  };
-
-  for (const p of parts) {
-    if (p.length > chunkSizeChars * 1.8) {
-      if (cur.trim()) { push(cur); cur = ""; }
-      for (let i = 0; i < p.length; i += chunkSizeChars) {
-        push(p.slice(i, i + chunkSizeChars));
-      }
-      continue;
-    }
+// Registro de preguntas (logs/questions-YYYY-MM-DD.jsonl); QUESTION_LOG=0 lo desactiva
+const questionLog = createQuestionLog({ dir: path.resolve("logs") });
 
-    if ((cur.length + p.length + 2) <= chunkSizeChars) {
-      cur += (cur ? "\n\n" : "") + p;
-    } else {
-      push(cur);
-      const tail = cur.slice(Math.max(0, cur.length - overlapChars));
-      cur = (tail ? tail + "\n\n" : "") + p;
-    }
-  }
-  push(cur);
-  return chunks;
+function recordTurn(session, message, query, answer) {
+  if (!HISTORY_TURNS) return;
+  sessions.append(session, { role: "user", content: message, query });
+  sessions.append(session, { role: "assistant", content: answer });
 }
 
-function docSignature(files) {
-  // firma simple para detectar cambios en docs/
-  // (nombre + tamaño + mtimeMs)
-  return files
-    .map(f => `${f.name}|${f.size}|${f.mtimeMs}`)
-    .sort()
-    .join("::");
+// Filtros de la petición ({ doc, country, objetivo, desafio, period, audience }): restringen.
+// Los que se deducen de la consulta ("objetivo 6", "en Singapur") solo priorizan (boost);
+// autoFilters: true los aplica también como filtro estricto, autoFilters: false los ignora.
+function resolveFilters(body, query) {
+  const explicit = AlbabotFilters.normalizeFilters(body?.filters);
+  if (body?.autoFilters === false) return { filters: explicit, boost: {} };
+  const auto = AlbabotFilters.autoFilters(query, explicit);
+  if (body?.autoFilters === true) return { filters: AlbabotFilters.mergeFilters(auto, explicit), boost: {} };
+  return { filters: explicit, boost: auto };
 }
 
-async function listDocs() {
-  await fsp.mkdir(DOCS_DIR, { recursive: true });
-  const names = (await fsp.readdir(DOCS_DIR))
-    .filter(n => !n.startsWith("."));
+// retrieveFiltered con los filtros de la petición
+function retrieveFor(kb, query, body) {
+  const { filters, boost } = resolveFilters(body, query);
+  return retrieveFiltered(kb, query, filters, { boost });
+}
 
-  const files = [];
-  for (const name of names) {
-    const full = path.join(DOCS_DIR, name);
-    const st = await fsp.stat(full);
-    if (!st.isFile()) continue;
+// Tokens aproximados de un turno (pregunta + historial + contextos + respuesta); un reintento
+// por respaldo bajo (GROUNDING_MODE=retry) genera dos veces
+function turnTokens(message, history, contexts, answer, grounding) {
+  const tokens = estimateTokens(message, ...history.map(t => t.content), ...contexts.map(c => c.text), answer);
+  return grounding?.action === "retried" ? tokens * 2 : tokens;
+}
 
-    const ext = path.extname(name).toLowerCase();
-    if (![".pdf", ".txt", ".md"].includes(ext)) continue;
+// Preguntas con patrones de inyección (lib/injection.js): QUESTION_INJECTION=flag (por defecto)
+// solo las marca en el log y en la respuesta; block responde INJECTION_ANSWER sin buscar ni
+// generar (los patrones pueden dar falsos positivos, por eso no es el defecto); off no revisa
+const QUESTION_INJECTION = ["block", "flag", "off"].includes(process.env.QUESTION_INJECTION) ? process.env.QUESTION_INJECTION : "flag";
 
-    files.push({ name, full, size: st.size, mtimeMs: st.mtimeMs, ext });
-  }
-  return files;
+function questionInjection(message) {
+  return QUESTION_INJECTION === "off" ? [] : detectInjection(message).map(h => h.id);
 }
 
-async function readDocText(file) {
-  if (file.ext === ".pdf") {
-    const buf = await fsp.readFile(file.full);
-    const data = await pdfParse(buf);
-    return data.text || "";
-  }
-  return await fsp.readFile(file.full, "utf8");
+function blockedTurn(req, message, injection, mode, startedAt) {
+  const session = sessions.open(req.body?.sessionId);
+  questionLog.record(questionEntry({
+    sessionId: session.id, question: message, answer: INJECTION_ANSWER, mode, startedAt, injection
+  }));
+  return { session, answer: INJECTION_ANSWER };
 }
 
-// ---------- OpenAI helpers ----------
-async function embedBatch(texts) {
-  const resp = await client.embeddings.create({
-    model: EMBED_MODEL,
-    input: texts
-  });
-  return resp.data.map(d => d.embedding);
+function sseSend(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-async function buildKB() {
+// ---------- Rutas ----------
+app.get("/", (req, res) => {
+  // fuerza el demo “como antes”
+  res.sendFile(path.resolve("demo.html"));
+});
+
+app.get("/api/status", async (req, res) => {
   const files = await listDocs();
-  if (!files.length) {
-    throw new Error("No hay documentos en /docs (PDF/TXT/MD).");
-  }
+  const kb = loadKB();
+  res.json({
+    docs: files.map(f => f.name),
+    provider: provider.name,
+    hasKB: !!kb,
+    meta: kb?.meta || null,
+    build: builds.active(),
+    limits: { maxChars: chatLimits.MAX_CHARS }
+  });
+});
 
-  const docs = [];
-  for (const f of files) {
-    const raw = await readDocText(f);
-    const cleaned = normalizeWhitespace(raw);
-    if (cleaned.length < 80) continue;
-    docs.push({ name: f.name, text: cleaned });
-  }
+// Encola un build y responde al tiro con el job (202); el progreso se consulta en /api/build/:id.
+// Requiere ADMIN_TOKEN (re-embeber todo tiene costo).
+// body { full: true } fuerza re-embeber todo
+app.post("/api/build", adminOnly, (req, res) => {
+  const job = builds.enqueue({ full: !!req.body?.full });
+  res.status(202).json({ ok: true, job });
+});
 
-  const totalChars = docs.reduce((acc, d) => acc + d.text.length, 0);
-  const chunkSizeChars = clampInt(Math.ceil(totalChars / TARGET_CHUNKS), 1400, 800, 3200);
-  const overlapChars = clampInt(Math.floor(chunkSizeChars * 0.12), 180, 80, 450);
-
-  // Genera chunks
-  const chunks = [];
-  for (const d of docs) {
-    const ch = chunkByParagraphs(d.text, chunkSizeChars, overlapChars);
-    ch.forEach((t, i) => {
-      chunks.push({
-        id: `${d.name}::${i}`,
-        doc: d.name,
-        chunkIndex: i,
-        text: t
-      });
-    });
-  }
+app.get("/api/build", adminOnly, (req, res) => {
+  res.json({ ok: true, jobs: builds.list() });
+});
 
-  // Embeddings por lotes
-  const embeddings = [];
-  const BATCH = 64;
-  for (let i = 0; i < chunks.length; i += BATCH) {
-    const batch = chunks.slice(i, i + BATCH).map(c => c.text);
-    const embs = await embedBatch(batch);
-    embeddings.push(...embs);
-  }
+// { status: queued|running|done|failed, progress: { phase, filesParsed, chunksEmbedded, ... }, meta, error }
+app.get("/api/build/:id", adminOnly, (req, res) => {
+  const job = builds.get(req.params.id);
+  if (!job) return res.status(404).json({ ok: false, error: "Build no encontrado." });
+  res.json({ ok: true, job });
+});
 
-  const indexedChunks = chunks.map((c, i) => ({
-    ...c,
-    embedding: embeddings[i]
-  }));
+// ---------- Respaldos de la KB (backups/kb_udl/, requiere ADMIN_TOKEN) ----------
+app.get("/api/backups", adminOnly, (req, res) => {
+  res.json({ ok: true, backups: listBackups().map(({ dir, ...e }) => e) });
+});
+
+// ?to=<id>|current (por defecto current): chunks agregados / eliminados / modificados
+app.get("/api/backups/:id/diff", adminOnly, (req, res) => {
+  try {
+    res.json({ ok: true, diff: diffVersions(req.params.id, req.query.to || "current") });
+  } catch (e) {
+    res.status(400).json({ ok: false, error: String(e?.message || e) });
+  }
+});
 
-  const kb = {
-    meta: {
-      createdAt: new Date().toISOString(),
-      embedModel: EMBED_MODEL,
-      chatModel: CHAT_MODEL,
-      targetChunks: TARGET_CHUNKS,
-      chunkSizeChars,
-      overlapChars,
-      docCount: docs.length,
-      chunkCount: indexedChunks.length,
-      docsSignature: docSignature(await listDocs())
-    },
-    chunks: indexedChunks
-  };
-
-  // backup si existe
-  if (fs.existsSync(KB_PATH)) {
-    const stamp = new Date().toISOString().replace(/[:.]/g, "-");
-    await fsp.copyFile(KB_PATH, path.resolve(`kb_udl_backup_${stamp}.json`));
+// :id = "latest" vuelve a la versión anterior al último build; la KB se recarga sola
+app.post("/api/backups/:id/rollback", adminOnly, async (req, res) => {
+  try {
+    const result = await rollbackKB(req.params.id);
+    res.json({ ok: true, ...result });
+  } catch (e) {
+    res.status(builds.active() ? 409 : 400).json({ ok: false, error: String(e?.message || e) });
   }
+});
 
-  await fsp.writeFile(KB_PATH, JSON.stringify(kb), "utf8");
-  return kb.meta;
-}
+// ---------- Administración (requiere ADMIN_TOKEN) ----------
+// Subir, reemplazar, renombrar o borrar encola un build (reason "docs").
+const admin = express.Router();
+admin.use(adminOnly);
 
-function loadKB() {
-  if (!fs.existsSync(KB_PATH)) return null;
-  return JSON.parse(fs.readFileSync(KB_PATH, "utf8"));
+// Estado de un documento frente a la KB: indexed | empty (sin texto) | pending (falta el build)
+function indexState(doc, kbDoc) {
+  if (!kbDoc || kbDoc.size !== doc.size || kbDoc.mtimeMs !== doc.mtimeMs) return "pending";
+  return kbDoc.chunkCount ? "indexed" : "empty";
 }
 
-async function kbIsStale(kb) {
-  if (!kb?.meta?.docsSignature) return true;
-  const sig = docSignature(await listDocs());
-  return sig !== kb.meta.docsSignature;
-}
+admin.get("/docs", async (req, res) => {
+  const kb = loadKB();
+  const kbDocs = kb?.meta?.docs || {};
+  const injections = kb?.meta?.lastBuild?.injections || [];
+  const docs = (await docStore.list()).map(d => ({
+    ...d,
+    chunkCount: kbDocs[d.file]?.chunkCount ?? null,
+    pageCount: kbDocs[d.file]?.pageCount ?? null,
+    state: indexState(d, kbDocs[d.file]),
+    // chunks con posibles instrucciones incrustadas (lib/injection.js): revisar el documento
+    injections: injections.filter(i => i.doc === d.file)
+  }));
+  res.json({
+    ok: true,
+    docs,
+    // en la KB pero ya no en docs/ (salen en el próximo build)
+    removed: Object.keys(kbDocs).filter(n => !docs.some(d => d.file === n)),
+    kb: kb ? { createdAt: kb.meta.createdAt, docCount: kb.meta.docCount, chunkCount: kb.meta.chunkCount, lastBuild: kb.meta.lastBuild } : null,
+    build: builds.active(),
+    jobs: builds.list().slice(0, 5),
+    limits: { maxMB: docStore.MAX_MB, types: Object.keys(DOC_TYPES), icons: ICONS }
+  });
+});
+
+// Cuerpo = bytes del archivo (Content-Type cualquiera); ?title=&icon=&description= opcionales
+const rawUpload = express.raw({ type: () => true, limit: docStore.MAX_BYTES });
 
-async function retrieve(kb, query) {
-  const qEmb = (await embedBatch([query]))[0];
-
-  const scored = kb.chunks
-    .map(c => ({
-      doc: c.doc,
-      chunkIndex: c.chunkIndex,
-      text: c.text,
-      score: cosineSimilarity(qEmb, c.embedding)
-    }))
-    .sort((a, b) => b.score - a.score);
-
-  // DIVERSIDAD: cap por documento, para evitar que se vaya todo a un PDF
-  const picked = [];
-  const perDoc = new Map();
-  for (const s of scored) {
-    const count = perDoc.get(s.doc) || 0;
-    if (count >= PER_DOC_CAP) continue;
-    picked.push(s);
-    perDoc.set(s.doc, count + 1);
-    if (picked.length >= TOP_K) break;
+admin.post("/docs/:name", rawUpload, async (req, res, next) => {
+  try {
+    const doc = await docStore.save(req.params.name, req.body, { meta: req.query });
+    res.status(201).json({ ok: true, doc, job: builds.enqueue({ reason: "docs" }) });
+  } catch (e) {
+    next(e);
   }
+});
 
-  return picked;
-}
+admin.put("/docs/:name", rawUpload, async (req, res, next) => {
+  try {
+    const doc = await docStore.save(req.params.name, req.body, { replace: true, meta: req.query });
+    res.json({ ok: true, doc, job: builds.enqueue({ reason: "docs" }) });
+  } catch (e) {
+    next(e);
+  }
+});
 
-async function answerWithContexts(question, contexts) {
-  const system = [
-    "Responde SOLO usando los CONTEXTOS entregados.",
-    "Si falta info, dilo explícitamente y sugiere qué documento revisar.",
-    "Responde con detalle (no telegráfico), usando secciones cuando ayude.",
-    "Cita siempre con el formato [Documento | chunk N] al final de oraciones/párrafos relevantes.",
-    "No inventes."
-  ].join(" ");
-
-  const ctx = contexts.map(c =>
-    `### [${c.doc} | chunk ${c.chunkIndex}]\n${c.text}`
-  ).join("\n\n");
-
-  const input = [
-    { role: "system", content: system },
-    {
-      role: "user",
-      content:
-        `CONTEXTOS:\n${ctx || "(vacío)"}\n\n` +
-        `PREGUNTA:\n${question}\n\n` +
-        `INSTRUCCIÓN:\nResponde en español.`
+// body { name?: nuevo nombre, title?, icon?, description? }
+admin.patch("/docs/:name", async (req, res, next) => {
+  try {
+    const { name, ...meta } = req.body || {};
+    let file = req.params.name;
+    let job = null;
+    if (name && name !== file) {
+      file = (await docStore.rename(file, name)).file;
+      job = builds.enqueue({ reason: "docs" });
     }
-  ];
+    const doc = await docStore.setMeta(file, meta);
+    res.json({ ok: true, doc, job });
+  } catch (e) {
+    next(e);
+  }
+});
+
+admin.delete("/docs/:name", async (req, res, next) => {
+  try {
+    const removed = await docStore.remove(req.params.name);
+    res.json({ ok: true, ...removed, job: builds.enqueue({ reason: "docs" }) });
+  } catch (e) {
+    next(e);
+  }
+});
 
-  const resp = await client.responses.create({
-    model: CHAT_MODEL,
-    input,
-    max_output_tokens: 1100
+// Preguntas frecuentes y sin respuesta (lib/questions.js): qué Q&A escribir primero.
+// ?days=30 (0 = todo el log) &top=20 &minSimilarity=0.3 (opcional)
+admin.get("/questions", (req, res) => {
+  const days = clampInt(req.query.days, 30, 0, 3650);
+  const minSimilarity = req.query.minSimilarity != null && req.query.minSimilarity !== ""
+    ? Number(req.query.minSimilarity)
+    : null;
+  res.json({
+    ok: true,
+    days,
+    logging: questionLog.enabled,
+    ...analyzeQuestions(questionLog.read({ days }), {
+      top: clampInt(req.query.top, 20, 1, 200),
+      minSimilarity: Number.isFinite(minSimilarity) ? minSimilarity : null
+    })
   });
+});
 
-  const out = (resp.output_text || "").trim();
-  return out || "No pude generar una respuesta con el material disponible.";
-}
+// Cola de revisión: ?status=new (por defecto) | accepted | dismissed | all
+admin.get("/feedback", (req, res) => {
+  const status = req.query.status === "all" ? null : STATUSES.includes(req.query.status) ? req.query.status : "new";
+  res.json({ ok: true, items: feedback.list({ status }), counts: feedback.counts() });
+});
 
-// ---------- Rutas ----------
-app.get("/", (req, res) => {
-  // fuerza el demo “como antes”
-  res.sendFile(path.resolve("demo.html"));
+// body { question?, answer, source? }: la respuesta corregida pasa a ser un bloque QA de kb.json
+admin.post("/feedback/:id/accept", async (req, res, next) => {
+  try {
+    res.json({ ok: true, ...(await feedback.accept(req.params.id, req.body || {})) });
+  } catch (e) {
+    next(e);
+  }
 });
 
-app.get("/api/status", async (req, res) => {
-  const files = await listDocs();
-  const kb = loadKB();
-  res.json({
-    docs: files.map(f => f.name),
-    hasKB: !!kb,
-    meta: kb?.meta || null
-  });
+admin.post("/feedback/:id/dismiss", async (req, res, next) => {
+  try {
+    res.json({ ok: true, item: await feedback.dismiss(req.params.id, req.body || {}) });
+  } catch (e) {
+    next(e);
+  }
+});
+
+// Errores de docStore / feedback (e.status) y de express.raw (413 si supera DOC_MAX_MB)
+admin.use((err, req, res, next) => {
+  const status = err.status || err.statusCode || 500;
+  const error = err.type === "entity.too.large" ? `El archivo supera ${docStore.MAX_MB} MB.` : String(err?.message || err);
+  res.status(status).json({ ok: false, error });
 });
 
-app.post("/api/build", async (req, res) => {
+app.use("/api/admin", admin);
+
+// 👍/👎 sobre una respuesta: body { rating: "up"|"down", comment?, question, answer, sources?, sessionId?, mode? }
+// 429 con FEEDBACK_MAX_PENDING 👎 sin revisar, 507 si feedback.jsonl llegó a FEEDBACK_MAX_MB
+app.post("/api/feedback", rateLimitByIp({ max: 20 }), async (req, res) => {
   try {
-    const meta = await buildKB();
-    res.json({ ok: true, meta });
+    const item = await feedback.add(req.body || {});
+    res.status(201).json({ ok: true, id: item.id, status: item.status });
   } catch (e) {
-    res.status(500).json({ ok: false, error: String(e?.message || e) });
+    res.status(e.status || 500).json({ ok: false, error: String(e?.message || e) });
   }
 });
 
-app.post("/api/chat", async (req, res) => {
+app.post("/api/chat", chatLimits.guard, async (req, res) => {
   try {
-    const message = (req.body?.message || "").trim();
-    if (!message) return res.status(400).json({ ok: false, error: "Falta message." });
-
-    let kb = loadKB();
-    if (!kb) {
-      // auto-build si no existe
-      await buildKB();
-      kb = loadKB();
-    } else if (await kbIsStale(kb)) {
-      // auto-rebuild si cambió /docs
-      await buildKB();
-      kb = loadKB();
+    const message = req.body.message.trim();
+    const startedAt = Date.now();
+    const injection = questionInjection(message);
+    if (injection.length && QUESTION_INJECTION === "block") {
+      const { session, answer } = blockedTurn(req, message, injection, "chat", startedAt);
+      return res.json({ ok: true, sessionId: session.id, query: message, answer, sources: [], injection });
     }
 
-    const contexts = await retrieve(kb, message);
-    const answer = await answerWithContexts(message, contexts);
+    const kb = await builds.currentKB();
+    const { session, history, query, condenseTokens } = await prepareTurn(req.body?.sessionId, message);
+    // la reescritura ya se hizo: cuenta aunque después falle la respuesta
+    chatLimits.charge(req, condenseTokens);
+    const { contexts, filters, boosted, relaxed } = await retrieveFor(kb, query, req.body);
+    const { answer, grounding } = await answerWithGrounding(message, contexts, { history, query });
+    recordTurn(session, message, query, answer);
+    chatLimits.charge(req, turnTokens(message, history, contexts, answer, grounding));
+
+    const sources = formatSources(contexts);
+    questionLog.record(questionEntry({
+      sessionId: session.id, question: message, query, filters, relaxed, sources, answer, grounding, mode: "chat", startedAt, injection
+    }));
 
     // MUY importante: NO devolvemos kb completo (evita que se “meta” al chat)
     res.json({
       ok: true,
+      sessionId: session.id,
+      query,
       answer,
-      sources: contexts.map(c => ({
-        doc: c.doc,
-        chunkIndex: c.chunkIndex,
-        score: Number(c.score.toFixed(4)),
-        snippet: c.text.replace(/\s+/g, " ").slice(0, 240) + (c.text.length > 240 ? "…" : "")
-      })),
+      sources,
+      filters: { applied: filters, boosted, relaxed },
+      grounding,
       meta: kb.meta
     });
   } catch (e) {
@@ -338,6 +398,75 @@ app.post("/api/chat", async (req, res) => {
   }
 });
 
+// Variante streaming (Server-Sent Events sobre POST):
+//   event: sources -> { sessionId, query, sources, filters: { applied, boosted, relaxed } }  (antes de generar)
+//   event: delta   -> { text }         (trozos de la respuesta)
+//   event: done    -> { ok, grounding, meta }  (fin; el respaldo se verifica al terminar:
+//                     lo ya enviado no se puede corregir, así que aquí solo se informa)
+//   event: error   -> { ok: false, error }
+// Una pregunta bloqueada (QUESTION_INJECTION) recibe sources vacío, un solo delta e injection.
+app.post("/api/chat/stream", chatLimits.guard, async (req, res) => {
+  const message = req.body.message.trim();
+
+  res.set({
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive"
+  });
+  res.flushHeaders();
+
+  let closed = false;
+  res.on("close", () => { closed = true; });
+
+  try {
+    const startedAt = Date.now();
+    const injection = questionInjection(message);
+    if (injection.length && QUESTION_INJECTION === "block") {
+      const { session, answer } = blockedTurn(req, message, injection, "stream", startedAt);
+      sseSend(res, "sources", { sessionId: session.id, query: message, sources: [], injection });
+      sseSend(res, "delta", { text: answer });
+      sseSend(res, "done", { ok: true, grounding: null, injection });
+      return res.end();
+    }
+
+    const kb = await builds.currentKB();
+    const { session, history, query, condenseTokens } = await prepareTurn(req.body?.sessionId, message);
+    // la reescritura ya se hizo: cuenta aunque después falle la respuesta
+    chatLimits.charge(req, condenseTokens);
+    const { contexts, filters, boosted, relaxed } = await retrieveFor(kb, query, req.body);
+    const sources = formatSources(contexts);
+    sseSend(res, "sources", {
+      sessionId: session.id,
+      query,
+      sources,
+      filters: { applied: filters, boosted, relaxed }
+    });
+
+    let answer = "";
+    for await (const delta of streamAnswerWithContexts(message, contexts, { history, query })) {
+      if (closed) break;
+      answer += delta;
+      sseSend(res, "delta", { text: delta });
+    }
+    if (!answer.trim()) {
+      answer = EMPTY_ANSWER;
+      sseSend(res, "delta", { text: answer });
+    }
+    recordTurn(session, message, query, answer);
+
+    const grounding = groundingReport(answer, contexts);
+    chatLimits.charge(req, turnTokens(message, history, contexts, answer, grounding));
+    questionLog.record(questionEntry({
+      sessionId: session.id, question: message, query, filters, relaxed, sources, answer, grounding,
+      mode: closed ? "stream-aborted" : "stream", startedAt, injection
+    }));
+    sseSend(res, "done", { ok: true, grounding, meta: kb.meta });
+  } catch (e) {
+    sseSend(res, "error", { ok: false, error: String(e?.message || e) });
+  }
+  res.end();
+});
+
 app.listen(PORT, () => {
   console.log(`✅ ALBABOT demo en http://localhost:${PORT}`);
 });
@@ -0,0 +1,40 @@
+// Token de administración (lib/auth.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { requireAdmin, adminTokenFrom } from "../lib/auth.js";
+
+function req(headers = {}) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { get: (name) => lower[name.toLowerCase()] };
+}
+
+// -> { status, nexted }
+function run(mw, r) {
+  const out = { status: null, nexted: false };
+  const res = { status: (s) => { out.status = s; return res; }, json: () => res };
+  mw(r, res, () => { out.nexted = true; });
+  return out;
+}
+
+test("adminTokenFrom: Bearer o X-Admin-Token", () => {
+  assert.equal(adminTokenFrom(req({ Authorization: "Bearer abc " })), "abc");
+  assert.equal(adminTokenFrom(req({ "X-Admin-Token": "xyz" })), "xyz");
+  assert.equal(adminTokenFrom(req()), "");
+});
+
+test("sin ADMIN_TOKEN: 503, nunca abierto", () => {
+  assert.deepEqual(run(requireAdmin({ token: "" }), req({ Authorization: "Bearer " })), { status: 503, nexted: false });
+});
+
+test("token incorrecto o ausente: 401", () => {
+  const mw = requireAdmin({ token: "s3cret" });
+  assert.equal(run(mw, req()).status, 401);
+  assert.equal(run(mw, req({ Authorization: "Bearer s3cre" })).status, 401);
+  assert.equal(run(mw, req({ "X-Admin-Token": "s3cret-extra" })).status, 401);
+});
+
+test("token correcto: pasa", () => {
+  const mw = requireAdmin({ token: "s3cret" });
+  assert.deepEqual(run(mw, req({ Authorization: "Bearer s3cret" })), { status: null, nexted: true });
+  assert.equal(run(mw, req({ "X-Admin-Token": "s3cret" })).nexted, true);
+});
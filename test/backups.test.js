@@ -0,0 +1,64 @@
+// Respaldos: versiones ilegibles (respaldos viejos truncados) no se restauran y las legacy no se podan
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createBackupStore } from "../lib/backups.js";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "albabot-backups-"));
+}
+
+test("save / restore: una versión legible vuelve al destino y respalda el estado actual", () => {
+  const dir = tmpDir();
+  const kb = path.join(dir, "kb_udl.json");
+  fs.writeFileSync(kb, JSON.stringify({ meta: {}, chunks: [{ id: "a::0", text: "uno" }] }));
+  const store = createBackupStore({ dir: path.join(dir, "backups"), env: {} });
+
+  const v1 = store.save("kb_udl", [kb], { reason: "build" });
+  assert.equal(v1.restorable, true);
+  assert.equal(v1.meta.kind, "chunks");
+
+  fs.writeFileSync(kb, JSON.stringify({ meta: {}, chunks: [] }));
+  const { restored, saved } = store.restore("kb_udl", v1.id, { "kb_udl.json": kb });
+  assert.equal(restored.id, v1.id);
+  assert.equal(saved.reason, "rollback");
+  assert.equal(JSON.parse(fs.readFileSync(kb, "utf8")).chunks.length, 1);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("restore: un respaldo con JSON inválido se lista como no restaurable y se rechaza", () => {
+  const dir = tmpDir();
+  const legacy = path.join(dir, "kb_udl_backup_20251209_153746.json");
+  fs.writeFileSync(legacy, "{\"chunks\": [{\"id\": 1}, ");
+  const store = createBackupStore({ dir: path.join(dir, "backups"), env: {} });
+
+  const [adopted] = store.adopt(dir);
+  assert.equal(adopted.meta.kind, "unknown");
+  assert.equal(store.get("kb_udl").restorable, false);
+
+  const kb = path.join(dir, "kb_udl.json");
+  fs.writeFileSync(kb, "{\"chunks\": []}");
+  assert.throws(() => store.restore("kb_udl", "latest", { "kb_udl.json": kb }), /no se puede restaurar/);
+  assert.equal(fs.readFileSync(kb, "utf8"), "{\"chunks\": []}");
+  assert.equal(store.list("kb_udl").length, 1); // no quedó un respaldo "rollback" de más
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("prune: las versiones legacy no cuentan para la retención ni se borran", () => {
+  const dir = tmpDir();
+  fs.writeFileSync(path.join(dir, "kb_udl_backup_20251209_153746.json"), "{\"chunks\": [");
+  const store = createBackupStore({ dir: path.join(dir, "backups"), env: { BACKUP_KEEP: "2" } });
+  store.adopt(dir);
+
+  const kb = path.join(dir, "kb_udl.json");
+  for (let i = 0; i < 4; i++) {
+    fs.writeFileSync(kb, JSON.stringify({ meta: {}, chunks: [] }));
+    store.save("kb_udl", [kb], { reason: "build", createdAt: new Date(2026, 0, 1 + i) });
+  }
+  const kept = store.list("kb_udl");
+  assert.equal(kept.filter((e) => e.reason === "build").length, 2);
+  assert.deepEqual(kept.filter((e) => e.reason === "legacy").map((e) => e.id), ["20251209_153746"]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
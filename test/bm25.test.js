@@ -0,0 +1,42 @@
+// BM25 y fusión de rankings (RRF)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { termFreqs, buildBM25Stats, bm25Scores, reciprocalRankFusion } from "../lib/bm25.js";
+
+const items = [
+  "La acreditación institucional se renueva cada cinco años.",
+  "Singapur y Finlandia invierten en formación docente.",
+  "La formación docente es clave para la calidad de la acreditación."
+].map(termFreqs);
+
+test("termFreqs: cuenta términos plegando tildes", () => {
+  const { terms, termCount } = termFreqs("Acreditación ACREDITACION acreditación");
+  assert.equal(termCount, 3);
+  assert.equal(Object.values(terms)[0], 3);
+});
+
+test("buildBM25Stats: N, largo promedio y df", () => {
+  const stats = buildBM25Stats(items);
+  assert.equal(stats.N, 3);
+  assert.ok(stats.avgdl > 0);
+  assert.equal(Object.values(stats.df).reduce((a, b) => Math.max(a, b), 0), 2);
+});
+
+test("bm25Scores: el chunk con más términos de la consulta gana", () => {
+  const scores = bm25Scores(buildBM25Stats(items), items, "formación docente acreditación");
+  assert.equal(scores.indexOf(Math.max(...scores)), 2);
+  assert.equal(bm25Scores(buildBM25Stats(items), items, "exoplanetas").every(s => s === 0), true);
+});
+
+test("bm25Scores: términos que chocan con Object.prototype no rompen", () => {
+  const it = [termFreqs("constructor toString")];
+  assert.doesNotThrow(() => bm25Scores(buildBM25Stats(it), it, "constructor hasOwnProperty"));
+});
+
+test("reciprocalRankFusion: premia lo que aparece arriba en ambos rankings", () => {
+  const fused = reciprocalRankFusion([["a", "b", "c"], ["b", "a", "d"]], 60);
+  const order = [...fused.entries()].sort((x, y) => y[1] - x[1]).map(([id]) => id);
+  assert.deepEqual(order.slice(0, 2).sort(), ["a", "b"]);
+  assert.ok(fused.get("c") < fused.get("a"));
+  assert.equal(fused.get("d"), 1 / 63);
+});
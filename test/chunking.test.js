@@ -0,0 +1,81 @@
+// Chunks por estructura sobre los PDF reales de docs/ (leídos como en el build: readPdfPages)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { readPdfPages } from "../lib/rag.js";
+import { chunkByStructure, detectHeading, objectiveItem } from "../lib/chunking.js";
+import AlbabotFilters from "../lib/filters.js";
+
+const { extractFilters, matchesFilters } = AlbabotFilters;
+const DOCS = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "docs");
+
+async function chunksOf(name) {
+  const pages = await readPdfPages(fs.readFileSync(path.join(DOCS, name)));
+  return chunkByStructure(pages, 1500, 180);
+}
+
+test("detectHeading: Fuentes / Anexos / Tabla resumen cierran la sección anterior", () => {
+  for (const line of ["Fuentes:", "Referencias bibliográficas", "Anexos", "Tabla resumen de encuentros entre la Estrategia y los objetivos"]) {
+    const h = detectHeading(line);
+    assert.equal(h?.level, 1, line);
+    assert.equal(h.kind, "seccion");
+  }
+  assert.equal(detectHeading("Las fuentes consultadas son públicas."), null);
+});
+
+test("objectiveItem: solo ítems con el nombre de un objetivo UDALBA", () => {
+  assert.equal(objectiveItem("6.  Desarrollo  de  Infraestructura"), "6");
+  assert.equal(objectiveItem("16. IA en Proceso Formativo"), "16");
+  assert.equal(objectiveItem("6. Garantizar equidad y accesibilidad en la educación digitalizada"), null);
+  assert.equal(objectiveItem("1. Potenciar orientación vocacional en enseñanza media"), null);
+  assert.equal(objectiveItem("25. Factores de Desarrollo"), null);
+});
+
+test("Directrices: el país no se arrastra después de País 6 (Fuentes)", async () => {
+  const chunks = await chunksOf("Directrices (paises).pdf");
+  const countries = [...new Set(chunks.map(c => c.country).filter(Boolean))];
+  assert.deepEqual(countries, ["Singapur", "Alemania", "Países Bajos", "Estados Unidos", "Reino Unido", "Francia"]);
+
+  const sources = chunks.filter(c => c.section === "Fuentes");
+  assert.ok(sources.length > 0);
+  assert.ok(sources.every(c => c.country == null));
+  // Francia: solo sus páginas (15-17), no las fuentes del final (p. 18 en adelante)
+  assert.equal(Math.min(...sources.map(c => c.pageStart)), 18);
+  assert.ok(chunks.filter(c => c.country === "Francia").every(c => c.pageEnd <= 17));
+});
+
+test("Estrategia: la tabla resumen no hereda el Desafío 4", async () => {
+  const chunks = await chunksOf("Resumen Estrategia Educación Superior.pdf");
+  assert.deepEqual([...new Set(chunks.map(c => c.desafio_id).filter(x => x != null))], [1, 2, 3, 4]);
+  const table = chunks.filter(c => c.section?.startsWith("Tabla resumen"));
+  assert.ok(table.length > 0);
+  assert.ok(table.every(c => c.desafio_id == null));
+});
+
+test("Tabla Autores vs Objetivos: los chunks llevan los objetivos que listan", async () => {
+  const chunks = await chunksOf("Tabla Autores vs Objetivos.pdf");
+  const listed = new Set(chunks.flatMap(c => c.objetivo_ids || []));
+  for (let n = 1; n <= 19; n++) assert.ok(listed.has(String(n)), `objetivo ${n}`);
+
+  // el filtro "objetivo 6" coincide por metadatos, no solo por mención en el texto
+  const f = extractFilters("¿Qué autores trabajan el objetivo 6?");
+  const hits = chunks.filter(c => matchesFilters(c, f));
+  assert.ok(hits.length > 0);
+  assert.ok(hits.every(c => c.objetivo_ids?.includes("6") || /objetivo\s*6\b/i.test(c.text)));
+});
+
+test("Discusiones / Estudio de Mercado: las listas numeradas no son objetivos", async () => {
+  for (const name of ["Discusiones sobre las Universidades del futuro_VF.pdf", "Resumen Estudio de Mercado sobre Educación Superior (EM09).pdf"]) {
+    const chunks = await chunksOf(name);
+    assert.ok(chunks.length > 0);
+    assert.ok(chunks.every(c => c.objetivo_ids == null), name);
+  }
+});
+
+test("extractFilters: solo países que están en los documentos", () => {
+  assert.equal(extractFilters("¿Cuáles son las directrices para Singapur?").country, "Singapur");
+  assert.equal(extractFilters("¿Cuáles son las directrices para Finlandia?").country, undefined);
+  assert.equal(extractFilters("¿Qué hace Holanda?").country, "Países Bajos");
+});
@@ -0,0 +1,22 @@
+// Etiquetas de cita y enlaces a los documentos
+import test from "node:test";
+import assert from "node:assert/strict";
+import { pageLabel, citationLabel, docUrl } from "../lib/citations.js";
+
+test("pageLabel: una página, rango o nada", () => {
+  assert.equal(pageLabel({ pageStart: 16, pageEnd: 16 }), "p. 16");
+  assert.equal(pageLabel({ pageStart: 16, pageEnd: 19 }), "p. 16–19");
+  assert.equal(pageLabel({ pageStart: 7 }), "p. 7");
+  assert.equal(pageLabel({ pageStart: null }), null);
+});
+
+test("citationLabel: [Documento | p. N] o [Documento | chunk N]", () => {
+  assert.equal(citationLabel({ doc: "Directrices (paises).pdf", pageStart: 3, pageEnd: 4 }), "[Directrices (paises).pdf | p. 3–4]");
+  assert.equal(citationLabel({ doc: "notas.txt", pageStart: null, chunkIndex: 5 }), "[notas.txt | chunk 5]");
+});
+
+test("docUrl: PDF en la página inicial; otros formatos sin ancla", () => {
+  assert.equal(docUrl({ doc: "Proyecto Institucional.pdf", pageStart: 12 }), "./docs/Proyecto%20Institucional.pdf#page=12");
+  assert.equal(docUrl({ doc: "tabla.csv", pageStart: 1 }), "./docs/tabla.csv");
+  assert.equal(docUrl({ doc: "a.pdf", pageStart: null }), "./docs/a.pdf");
+});
@@ -0,0 +1,76 @@
+// Memoria de conversación (lib/conversation.js): sesiones y reescritura de las preguntas de seguimiento
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createSessionStore, formatHistory, looksLikeFollowUp, condenseHeuristic } from "../lib/conversation.js";
+import { createProvider } from "../lib/providers.js";
+
+const HISTORY = [
+  { role: "user", content: "¿Qué autores trabajan el objetivo 1?" },
+  { role: "assistant", content: "Pérez y Soto [Tabla Autores vs Objetivos.pdf | p. 2]" }
+];
+
+test("createSessionStore: un id válido se reabre, uno inválido crea otra sesión", () => {
+  const store = createSessionStore();
+  const a = store.open("sesion-0001");
+  assert.equal(a.id, "sesion-0001");
+  store.append(a, { role: "user", content: "hola" });
+  assert.equal(store.open("sesion-0001").turns.length, 1);
+
+  for (const bad of [undefined, "corto", "con espacios 123", "../../etc"]) {
+    const s = store.open(bad);
+    assert.notEqual(s.id, bad);
+    assert.equal(s.turns.length, 0);
+  }
+});
+
+test("createSessionStore: historial acotado a maxTurns y las sesiones viejas se descartan", () => {
+  const store = createSessionStore({ maxTurns: 2, maxSessions: 2 });
+  const s = store.open("sesion-0001");
+  for (const content of ["uno", "dos", "tres"]) store.append(s, { role: "user", content });
+  assert.deepEqual(s.turns.map(t => t.content), ["dos", "tres"]);
+  assert.ok(s.turns[0].at);
+
+  store.open("sesion-0002");
+  store.open("sesion-0001"); // vuelve a ser la más reciente
+  store.open("sesion-0003");
+  // se poda al abrir: la próxima apertura descarta la más antigua (sesion-0002)
+  assert.equal(store.open("sesion-0001").turns.length, 2);
+  assert.equal(store.size, 2);
+  assert.equal(store.open("sesion-0002").turns.length, 0);
+
+  const expiring = createSessionStore({ ttlMs: -1 });
+  expiring.append(expiring.open("sesion-0001"), { role: "user", content: "hola" });
+  assert.equal(expiring.open("sesion-0001").turns.length, 0);
+});
+
+test("formatHistory: Usuario / Albito y las respuestas largas recortadas", () => {
+  const text = formatHistory([...HISTORY, { role: "assistant", content: "x".repeat(20) }], 10);
+  assert.deepEqual(text.split("\n"), [
+    "Usuario: ¿Qué autor…",
+    "Albito: Pérez y So…",
+    "Albito: xxxxxxxxxx…"
+  ]);
+});
+
+test("looksLikeFollowUp: conectores, deícticos y preguntas muy cortas", () => {
+  for (const q of ["¿Y el objetivo 2?", "Además, ¿qué plazos tiene?", "¿Qué dice eso de la acreditación?", "¿Más ejemplos?"]) {
+    assert.equal(looksLikeFollowUp(q), true, q);
+  }
+  assert.equal(looksLikeFollowUp("¿Qué autores trabajan el objetivo de infraestructura digital?"), false);
+});
+
+test("condenseHeuristic: suma los términos de la consulta anterior, sin sus números", () => {
+  assert.equal(condenseHeuristic(HISTORY, "¿y el objetivo 2?"), "¿y el objetivo 2? autores trabajan");
+  // si la anterior ya se había reescrito, se usa su consulta
+  const rewritten = [{ role: "user", content: "¿y el 2?", query: "becas de posgrado 2026" }];
+  assert.equal(condenseHeuristic(rewritten, "¿y sobre eso?"), "¿y sobre eso? becas posgrado");
+
+  const standalone = "¿Qué directrices de educación digital tiene Singapur para universidades?";
+  assert.equal(condenseHeuristic(HISTORY, standalone), standalone);
+  assert.equal(condenseHeuristic([], "¿y el objetivo 2?"), "¿y el objetivo 2?");
+});
+
+test("proveedor local: condense usa la heurística (sin llamar a nada)", async () => {
+  const provider = createProvider("local", {});
+  assert.equal(await provider.condense({ history: HISTORY, question: "¿y el objetivo 2?" }), "¿y el objetivo 2? autores trabajan");
+});
@@ -0,0 +1,35 @@
+// Datasets -> bloques: las correcciones aceptadas mandan sobre el bloque original
+import test from "node:test";
+import assert from "node:assert/strict";
+import datasets from "../lib/datasets.js";
+
+const original = [{ id: 1, question: "¿Cuál es la misión de la universidad?", answer: "Una respuesta equivocada." }];
+const correction = (id, question, answer, variants = []) => ({
+  id, question, answer, variants, tags: ["corrección"], review_status: "approved", feedback_id: `fb${id}`
+});
+
+test("applyCorrections: la corrección reemplaza al bloque con la misma pregunta", () => {
+  const blocks = [
+    ...datasets.toBlocks(original, { dataset: "universidad_QA" }),
+    ...datasets.toBlocks([correction(1, "¿Cuál es la misión de la Universidad?", "Formar profesionales.")], { dataset: "correcciones_QA" })
+  ];
+  assert.ok(datasets.isCorrection(blocks[1]));
+  const out = datasets.dedupeBlocks(datasets.applyCorrections(blocks));
+  assert.deepEqual(out.map(b => b.answer), ["Formar profesionales."]);
+});
+
+test("applyCorrections: también por variante, y entre correcciones gana la última", () => {
+  const blocks = [
+    ...datasets.toBlocks(original, { dataset: "universidad_QA" }),
+    ...datasets.toBlocks([
+      correction(1, "¿Qué misión tiene la universidad?", "Primera corrección.", ["¿Cuál es la misión de la universidad?"]),
+      correction(2, "¿Qué misión tiene la universidad?", "Segunda corrección.")
+    ], { dataset: "correcciones_QA" })
+  ];
+  assert.deepEqual(datasets.applyCorrections(blocks).map(b => b.answer), ["Segunda corrección."]);
+});
+
+test("applyCorrections: sin correcciones no cambia nada", () => {
+  const blocks = datasets.toBlocks([...original, { id: 2, question: "Otra", answer: "Otra respuesta." }], { dataset: "x_QA" });
+  assert.equal(datasets.applyCorrections(blocks), blocks);
+});
@@ -0,0 +1,156 @@
+// Documentos de docs/ (lib/docs.js) y las rutas /api/admin/docs de server.js (necesita node_modules)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+import { createDocStore, checkDocName, CATALOG } from "../lib/docs.js";
+import { createBackupStore } from "../lib/backups.js";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+const PDF = Buffer.from("%PDF-1.4 prueba");
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "albabot-docs-"));
+}
+
+test("checkDocName: sin rutas, sin ocultos y con una extensión soportada", () => {
+  assert.equal(checkDocName("  Plan 2026.pdf "), "Plan 2026.pdf");
+  for (const bad of ["", "../server.js", "a/b.pdf", ".env.txt", "notas.exe", "x".repeat(181) + ".pdf"]) {
+    assert.throws(() => checkDocName(bad), e => e.status === 400, bad);
+  }
+});
+
+test("save: 409 si ya existe, 404 al reemplazar uno que no está y 400 si el contenido no coincide", async () => {
+  const dir = tmpDir();
+  const store = createDocStore({ docsDir: path.join(dir, "docs"), env: {} });
+  const doc = await store.save("Plan_2026.pdf", PDF, { meta: { description: "Plan anual" } });
+  assert.deepEqual(doc, { file: "Plan_2026.pdf", title: "Plan 2026", icon: "doc", description: "Plan anual", created: true });
+
+  await assert.rejects(store.save("Plan_2026.pdf", PDF), e => e.status === 409);
+  await assert.rejects(store.save("Otro.pdf", PDF, { replace: true }), e => e.status === 404);
+  await assert.rejects(store.save("Falso.pdf", Buffer.from("<html>")), e => e.status === 400);
+  await assert.rejects(store.save("Vacio.txt", Buffer.alloc(0)), e => e.status === 400);
+  await assert.rejects(store.save("Binario.txt", Buffer.from([0x61, 0, 0x62])), e => e.status === 400);
+  await assert.rejects(store.save("Grande.txt", Buffer.alloc(store.MAX_BYTES + 1, 0x61)), e => e.status === 413);
+
+  // ni temporales a medio subir ni archivos de más
+  assert.deepEqual(fs.readdirSync(path.join(dir, "docs")).sort(), ["Plan_2026.pdf", CATALOG]);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("list: primero el orden de docs.json, luego el resto A-Z, sin los que ya no están", async () => {
+  const dir = tmpDir();
+  const docsDir = path.join(dir, "docs");
+  fs.mkdirSync(docsDir);
+  for (const name of ["b.txt", "a.txt", "c.md", ".oculto.txt", "imagen.png"]) fs.writeFileSync(path.join(docsDir, name), "texto");
+  fs.writeFileSync(path.join(docsDir, CATALOG), JSON.stringify({ docs: [{ file: "c.md", title: "Notas", icon: "chat" }, { file: "borrado.pdf" }] }));
+  const store = createDocStore({ docsDir, env: {} });
+
+  const docs = await store.list();
+  assert.deepEqual(docs.map(d => d.file), ["c.md", "a.txt", "b.txt"]);
+  assert.deepEqual({ title: docs[0].title, icon: docs[0].icon, type: docs[0].type, size: docs[0].size }, { title: "Notas", icon: "chat", type: "MD", size: 5 });
+  assert.equal((await store.get("a.txt")).title, "a");
+  assert.equal(await store.get("imagen.png"), null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("rename / setMeta / remove: la ficha sigue al archivo y el borrado queda en backups/docs", async () => {
+  const dir = tmpDir();
+  const backups = createBackupStore({ dir: path.join(dir, "backups"), env: {} });
+  const store = createDocStore({ docsDir: path.join(dir, "docs"), backups, env: {} });
+  await store.save("Plan.pdf", PDF, { meta: { title: "Plan de estudios" } });
+
+  await assert.rejects(store.rename("Plan.pdf", "Plan.txt"), e => e.status === 400);
+  await assert.rejects(store.rename("Otro.pdf", "Nuevo.pdf"), e => e.status === 404);
+  assert.equal((await store.rename("Plan.pdf", "Plan 2026.pdf")).title, "Plan de estudios");
+
+  await assert.rejects(store.setMeta("Plan 2026.pdf", { icon: "cohete" }), e => e.status === 400);
+  await assert.rejects(store.setMeta("Plan 2026.pdf", { title: "x".repeat(161) }), e => e.status === 400);
+  assert.deepEqual(await store.setMeta("Plan 2026.pdf", { title: "", icon: "globe" }), { file: "Plan 2026.pdf", title: "Plan 2026", icon: "globe", description: "" });
+
+  await store.save("Plan 2026.pdf", Buffer.from("%PDF-1.5 nueva"), { replace: true });
+  const removed = await store.remove("Plan 2026.pdf");
+  assert.ok(removed.backup);
+  assert.deepEqual(await store.list(), []);
+  // el reemplazo y el borrado, cada uno con su copia del archivo
+  const versions = backups.list("docs");
+  assert.deepEqual(versions.map(v => v.reason).sort(), ["delete", "replace"]);
+  await assert.rejects(store.remove("Plan 2026.pdf"), e => e.status === 404);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// server.js en una carpeta temporal (docs/ propia, proveedor local, sin log de preguntas)
+async function withServer(fn) {
+  const dir = tmpDir();
+  fs.mkdirSync(path.join(dir, "docs"));
+  fs.writeFileSync(path.join(dir, "docs", "Reglamento.txt"), "Las prácticas duran un semestre y se evalúan con un informe final.\n");
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), AI_PROVIDER: "local", ADMIN_TOKEN: "s3cret", QUESTION_LOG: "0" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("server.js no arrancó")), 15000);
+      child.stdout.on("data", d => { if (String(d).includes(`:${port}`)) { clearTimeout(timer); resolve(); } });
+      child.once("exit", code => { clearTimeout(timer); reject(new Error(`server.js terminó (${code})`)); });
+    });
+    await fn(`http://127.0.0.1:${port}`, dir);
+  } finally {
+    if (child.exitCode === null) {
+      child.kill();
+      await new Promise(resolve => child.once("exit", resolve));
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+test("rutas /api/admin/docs: token, subida, 409, renombrar y borrar", async () => {
+  await withServer(async (base, dir) => {
+    const admin = (p, opts = {}) => fetch(`${base}/api/admin${p}`, { ...opts, headers: { authorization: "Bearer s3cret", ...opts.headers } });
+
+    const anon = await fetch(`${base}/api/admin/docs`);
+    assert.equal(anon.status, 401);
+    await anon.arrayBuffer();
+
+    let res = await admin("/docs");
+    let body = await res.json();
+    assert.equal(res.status, 200);
+    assert.deepEqual(body.docs.map(d => d.file), ["Reglamento.txt"]);
+    assert.ok(body.limits.types.includes(".docx"));
+
+    res = await admin("/docs/Becas.md?title=Becas%202026", { method: "POST", body: "# Becas\n\nHay becas completas y parciales." });
+    body = await res.json();
+    assert.equal(res.status, 201);
+    assert.equal(body.doc.title, "Becas 2026");
+    assert.ok(body.job.id);
+
+    res = await admin("/docs/Becas.md", { method: "POST", body: "otra" });
+    assert.equal(res.status, 409);
+    assert.equal((await res.json()).ok, false);
+
+    res = await admin("/docs/Falso.pdf", { method: "POST", body: "no es un pdf" });
+    assert.equal(res.status, 400);
+    await res.arrayBuffer();
+
+    res = await admin(`/docs/Becas.md`, { method: "PATCH", headers: { "content-type": "application/json" }, body: JSON.stringify({ name: "Becas 2026.md", icon: "globe" }) });
+    body = await res.json();
+    assert.equal(res.status, 200);
+    assert.deepEqual([body.doc.file, body.doc.icon], ["Becas 2026.md", "globe"]);
+    assert.ok(fs.existsSync(path.join(dir, "docs", "Becas 2026.md")));
+
+    res = await admin(`/docs/${encodeURIComponent("Becas 2026.md")}`, { method: "DELETE" });
+    assert.equal(res.status, 200);
+    await res.arrayBuffer();
+    res = await admin(`/docs/${encodeURIComponent("Becas 2026.md")}`, { method: "DELETE" });
+    assert.equal(res.status, 404);
+    await res.arrayBuffer();
+
+    body = await (await admin("/docs")).json();
+    assert.deepEqual(body.docs.map(d => d.file), ["Reglamento.txt"]);
+  });
+});
@@ -0,0 +1,108 @@
+// Documentos que no son PDF (lib/extract.js): DOCX, HTML y CSV, con sus tablas como filas
+import test from "node:test";
+import assert from "node:assert/strict";
+import zlib from "zlib";
+import { extractDoc, unzipEntry, parseCSV, tableRowChunks } from "../lib/extract.js";
+
+// ZIP mínimo (método 8 = deflate, 0 = sin comprimir); el CRC no se revisa al leer
+function zip(entries, method = 8) {
+  const locals = [];
+  const central = [];
+  let offset = 0;
+  for (const [name, body] of Object.entries(entries)) {
+    const raw = Buffer.from(body, "utf8");
+    const data = method === 8 ? zlib.deflateRawSync(raw) : raw;
+    const nameBuf = Buffer.from(name, "utf8");
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(nameBuf.length, 26);
+    const dir = Buffer.alloc(46);
+    dir.writeUInt32LE(0x02014b50, 0);
+    dir.writeUInt16LE(method, 10);
+    dir.writeUInt32LE(data.length, 20);
+    dir.writeUInt32LE(raw.length, 24);
+    dir.writeUInt16LE(nameBuf.length, 28);
+    dir.writeUInt32LE(offset, 42);
+    locals.push(local, nameBuf, data);
+    central.push(dir, nameBuf);
+    offset += local.length + nameBuf.length + data.length;
+  }
+  const dirBuf = Buffer.concat(central);
+  const eocd = Buffer.alloc(22);
+  eocd.writeUInt32LE(0x06054b50, 0);
+  eocd.writeUInt16LE(Object.keys(entries).length, 8);
+  eocd.writeUInt16LE(Object.keys(entries).length, 10);
+  eocd.writeUInt32LE(dirBuf.length, 12);
+  eocd.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, dirBuf, eocd]);
+}
+
+function para(text, style = null) {
+  const pPr = style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : "";
+  return `<w:p>${pPr}<w:r><w:t>${text}</w:t></w:r></w:p>`;
+}
+
+function table(rows) {
+  return `<w:tbl>${rows.map(r => `<w:tr>${r.map(c => `<w:tc>${para(c)}</w:tc>`).join("")}</w:tr>`).join("")}</w:tbl>`;
+}
+
+const DOCUMENT = `<?xml version="1.0" encoding="UTF-8"?><w:document><w:body>${[
+  para("Taller 2045", "Title"),
+  para("Objetivos del taller", "Ttulo2"),
+  para("Docentes &amp; estudiantes proponen ideas."),
+  table([["Autor", "Objetivo"], ["Pérez", "6"], ["", "7"]])
+].join("")}</w:body></w:document>`;
+
+test("unzipEntry: lee una entrada deflate o sin comprimir y null si no está", () => {
+  for (const method of [8, 0]) {
+    const buf = zip({ "a.txt": "hola", "word/document.xml": "<xml/>" }, method);
+    assert.equal(unzipEntry(buf, "word/document.xml").toString("utf8"), "<xml/>");
+    assert.equal(unzipEntry(buf, "otra.xml"), null);
+  }
+  assert.throws(() => unzipEntry(Buffer.from("no es un zip, solo texto plano de prueba")), /ZIP válido/);
+});
+
+test("extractDoc .docx: títulos como Markdown y las tablas aparte", () => {
+  const { pages, tables } = extractDoc(zip({ "word/document.xml": DOCUMENT }), ".docx", { name: "Taller 2045.docx" });
+  assert.equal(pages[0].text, "# Taller 2045\n\n## Objetivos del taller\n\nDocentes & estudiantes proponen ideas.");
+  assert.deepEqual(tables, [{ name: "Objetivos del taller", columns: ["Autor", "Objetivo"], rows: [["Pérez", "6"], ["Pérez", "7"]] }]);
+  assert.throws(() => extractDoc(zip({ "a.txt": "x" }), ".docx", { name: "x.docx" }), /word\/document\.xml/);
+});
+
+test("extractDoc .html: sin scripts, con títulos y listas, y la tabla toma su <caption>", () => {
+  const html = `<html><head><title>t</title><style>p{}</style></head><body>
+    <h2>Becas &ndash; 2026</h2><script>alert(1)</script>
+    <p>Hay dos tipos:</p><ul><li>Completa</li><li>Parcial</li></ul>
+    <table><caption>Montos</caption><tr><th>Beca</th><th>Monto</th></tr><tr><td>Completa</td><td>100%</td></tr></table>
+  </body></html>`;
+  const { pages, tables } = extractDoc(Buffer.from(html), ".html");
+  assert.equal(pages[0].text, "## Becas – 2026\n\nHay dos tipos:\n\n- Completa\n- Parcial");
+  assert.deepEqual(tables, [{ name: "Montos", columns: ["Beca", "Monto"], rows: [["Completa", "100%"]] }]);
+});
+
+test("parseCSV: separador de la primera fila, comillas y saltos dentro de la celda", () => {
+  assert.deepEqual(parseCSV("a;b\n\"x; y\";\"dice \"\"hola\"\"\"\r\n\n1;2"), [["a", "b"], ["x; y", "dice \"hola\""], ["1", "2"]]);
+  assert.deepEqual(parseCSV("a\tb\n\"línea\nnueva\"\tz"), [["a", "b"], ["línea nueva", "z"]]);
+});
+
+test("extractDoc .csv: Windows-1252 de Excel y una sola columna queda como texto", () => {
+  const latin = Buffer.from("Autor,Año\nNúñez,2030\n", "latin1");
+  const { pages, tables } = extractDoc(latin, ".csv", { name: "docs/autores.csv" });
+  assert.deepEqual(pages, []);
+  assert.deepEqual(tables, [{ name: "autores", columns: ["Autor", "Año"], rows: [["Núñez", "2030"]] }]);
+
+  const single = extractDoc(Buffer.from("Nombre\nAna\nLuis\n"), ".csv", { name: "lista.csv" });
+  assert.deepEqual(single.tables, []);
+  assert.equal(single.pages[0].text, "Nombre\nAna\nLuis");
+});
+
+test("tableRowChunks: un chunk por fila, sin las celdas vacías", () => {
+  const chunks = tableRowChunks({ name: "Autores", columns: ["Autor", "Objetivo", "Nota"], rows: [["Pérez", "6", ""], ["Soto", "7", "revisar"]] });
+  assert.equal(chunks.length, 2);
+  assert.equal(chunks[0].text, "Autores (fila 1)\nAutor: Pérez\nObjetivo: 6");
+  assert.deepEqual(chunks[0].table, { name: "Autores", row: 1, columns: 3 });
+  assert.deepEqual(chunks[1].fields, { Autor: "Soto", Objetivo: "7", Nota: "revisar" });
+});
@@ -0,0 +1,139 @@
+// Feedback del chat (lib/feedback.js): cola de revisión y correcciones que llegan al RAG
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createFeedbackStore } from "../lib/feedback.js";
+import { createProvider } from "../lib/providers.js";
+import { createRAG } from "../lib/rag.js";
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "albabot-feedback-"));
+}
+
+function storeIn(dir, opts = {}) {
+  return createFeedbackStore({
+    dir: path.join(dir, "feedback"),
+    kbPath: path.join(dir, "kb.json"),
+    datasetPath: path.join(dir, "correcciones_QA.json"),
+    ...opts
+  });
+}
+
+const DOWN = {
+  rating: "down",
+  comment: "La duración está mal",
+  question: "¿Cuánto duran las prácticas?",
+  answer: "Duran un año.",
+  sources: [{ doc: "Plan de estudios.pdf", pages: "p. 4–5" }]
+};
+
+test("accept: la corrección queda en el dataset y en kb.json, y el RAG la responde", async () => {
+  const dir = tmpDir();
+  const fb = storeIn(dir);
+  const item = await fb.add(DOWN);
+  const { block } = await fb.accept(item.id, { answer: "Las prácticas duran un semestre." });
+
+  const dataset = JSON.parse(fs.readFileSync(path.join(dir, "correcciones_QA.json"), "utf8"));
+  assert.equal(dataset.length, 1);
+  assert.equal(dataset[0].feedback_id, item.id);
+  const kb = JSON.parse(fs.readFileSync(path.join(dir, "kb.json"), "utf8"));
+  assert.deepEqual(kb.blocks.map(b => b.id), [block.id]);
+
+  const rag = createRAG({
+    provider: createProvider("local", {}),
+    kbPath: path.join(dir, "kb_udl.json"),
+    env: {},
+    backups: null,
+    correctionsPath: path.join(dir, "correcciones_QA.json")
+  });
+  // misma pregunta sin tildes ni signos: sale la corrección, sin tocar la KB
+  const { contexts, correction } = await rag.retrieveFiltered(null, "cuanto duran las practicas", {});
+  assert.equal(correction, block.id);
+  assert.equal(contexts.length, 1);
+  assert.equal(contexts[0].doc, "Plan de estudios.pdf");
+  assert.equal(contexts[0].pageStart, 4);
+
+  const { answer, grounding } = await rag.answerWithGrounding(DOWN.question, contexts);
+  assert.equal(answer, "Las prácticas duran un semestre.");
+  assert.equal(grounding.action, "correction");
+
+  let streamed = "";
+  for await (const delta of rag.streamAnswerWithContexts(DOWN.question, contexts)) streamed += delta;
+  assert.equal(streamed, answer);
+
+  assert.equal(rag.findCorrection("¿Cuánto duran los talleres?"), null);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("accept: una corrección nueva de la misma pregunta reemplaza a la anterior en caliente", async () => {
+  const dir = tmpDir();
+  const fb = storeIn(dir);
+  const rag = createRAG({
+    provider: createProvider("local", {}),
+    kbPath: path.join(dir, "kb_udl.json"),
+    env: {},
+    backups: null,
+    correctionsPath: path.join(dir, "correcciones_QA.json")
+  });
+  assert.equal(rag.findCorrection(DOWN.question), null);
+
+  await fb.accept((await fb.add(DOWN)).id, { answer: "Duran un semestre." });
+  assert.equal(rag.findCorrection(DOWN.question).text, "Duran un semestre.");
+
+  await fb.accept((await fb.add(DOWN)).id, { answer: "Duran un semestre académico." });
+  assert.equal(rag.findCorrection(DOWN.question).text, "Duran un semestre académico.");
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("add / dismiss: feedback.jsonl solo crece con líneas nuevas y el estado se reconstruye", async () => {
+  const dir = tmpDir();
+  const fb = storeIn(dir);
+  const up = await fb.add({ ...DOWN, rating: "up" });
+  const down = await fb.add(DOWN);
+  assert.equal(up.status, "dismissed");
+  assert.deepEqual(fb.list({ status: "new" }).map(i => i.id), [down.id]);
+
+  const file = path.join(dir, "feedback", "feedback.jsonl");
+  const before = fs.readFileSync(file, "utf8");
+  await fb.dismiss(down.id, { note: "ya está en el documento" });
+  const after = fs.readFileSync(file, "utf8");
+  assert.ok(after.startsWith(before));
+  assert.equal(after.trim().split("\n").length, 3);
+
+  const reread = storeIn(dir);
+  assert.equal(reread.get(down.id).status, "dismissed");
+  assert.equal(reread.get(down.id).review.note, "ya está en el documento");
+  assert.deepEqual(reread.counts(), { new: 0, accepted: 0, dismissed: 2, up: 1, down: 1 });
+  await assert.rejects(reread.dismiss(down.id), err => err.status === 409);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("add: con la cola llena responde 429 y con el archivo lleno 507", async () => {
+  const dir = tmpDir();
+  const fb = storeIn(dir, { env: { FEEDBACK_MAX_PENDING: "2" } });
+  await fb.add(DOWN);
+  await fb.add(DOWN);
+  await assert.rejects(fb.add(DOWN), err => err.status === 429);
+  // un 👍 no queda pendiente: no cuenta para la cola
+  await fb.add({ ...DOWN, rating: "up" });
+
+  const full = storeIn(dir, { env: { FEEDBACK_MAX_MB: "1" } });
+  fs.appendFileSync(path.join(dir, "feedback", "feedback.jsonl"), "x".repeat(1024 * 1024) + "\n");
+  await assert.rejects(full.add({ ...DOWN, rating: "up" }), err => err.status === 507);
+  // la línea rota no impide leer las demás
+  assert.equal(full.list().length, 3);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("readItems: el feedback.json de antes se sigue leyendo", async () => {
+  const dir = tmpDir();
+  fs.mkdirSync(path.join(dir, "feedback"));
+  const old = { id: "viejo", at: "2026-01-01T00:00:00.000Z", rating: "down", question: "q", answer: "a", sources: [], status: "new", review: null };
+  fs.writeFileSync(path.join(dir, "feedback", "feedback.json"), JSON.stringify({ items: [old] }));
+  const fb = storeIn(dir);
+  await fb.dismiss("viejo");
+  assert.equal(fb.get("viejo").status, "dismissed");
+  fs.rmSync(dir, { recursive: true, force: true });
+});
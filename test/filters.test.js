@@ -0,0 +1,48 @@
+// Filtros: los que elige el usuario restringen; los deducidos de la pregunta solo priorizan
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import AlbabotFilters from "../lib/filters.js";
+import { createProvider } from "../lib/providers.js";
+import { createRAG } from "../lib/rag.js";
+
+const { autoFilters } = AlbabotFilters;
+
+const DOCS = {
+  "Acreditacion.txt": "Las metas de acreditación institucional exigen evaluar cada carrera y publicar los resultados de la evaluación.",
+  "Plan 2030.txt": "Para 2030 las metas de acreditación incluyen acreditar todas las carreras de pregrado."
+};
+
+async function ragWith(docs) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "albabot-filters-"));
+  fs.mkdirSync(path.join(dir, "docs"));
+  for (const [name, text] of Object.entries(docs)) fs.writeFileSync(path.join(dir, "docs", name), `${text}\n`);
+  const rag = createRAG({ provider: createProvider("local", {}), docsDir: path.join(dir, "docs"), kbPath: path.join(dir, "kb_udl.json"), env: {} });
+  await rag.buildKB({ full: true });
+  const kb = rag.loadKB();
+  return { rag, kb, cleanup: () => fs.rmSync(dir, { recursive: true, force: true }) };
+}
+
+test("autoFilters: lo que el usuario ya fijó no se deduce", () => {
+  assert.deepEqual(autoFilters("¿Qué autores trabajan el objetivo 6?", {}), { objetivo: "6" });
+  assert.deepEqual(autoFilters("directrices en Singapur", { country: "Francia" }), {});
+});
+
+test("retrieveFiltered: un filtro deducido prioriza pero no descarta; uno explícito restringe", async () => {
+  const { rag, kb, cleanup } = await ragWith(DOCS);
+  const query = "¿Qué metas de acreditación hay para 2030?";
+  const boost = autoFilters(query, {});
+
+  const boosted = await rag.retrieveFiltered(kb, query, {}, { boost });
+  assert.deepEqual(boosted.boosted, boost);
+  assert.equal(boosted.relaxed, false);
+  assert.equal(boosted.contexts[0].doc, "Plan 2030.txt");
+  assert.ok(boosted.contexts.some(c => c.doc === "Acreditacion.txt"));
+
+  const strict = await rag.retrieveFiltered(kb, query, boost);
+  assert.equal(strict.relaxed, false);
+  assert.deepEqual([...new Set(strict.contexts.map(c => c.doc))], ["Plan 2030.txt"]);
+  cleanup();
+});
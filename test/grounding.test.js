@@ -0,0 +1,53 @@
+// Verificación de respaldo de las respuestas (lib/grounding.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import { checkGrounding, parseCitations, stripCitations } from "../lib/grounding.js";
+
+const contexts = [
+  { doc: "Proyecto Institucional.pdf", chunkIndex: 0, pageStart: 3, pageEnd: 5, text: "La misión de la universidad es formar profesionales con compromiso regional y sentido público." },
+  { doc: "Directrices (paises).pdf", chunkIndex: 4, pageStart: null, pageEnd: null, text: "Singapur invierte en formación técnica continua para adultos trabajadores." }
+];
+
+test("parseCitations: páginas, rangos y chunks", () => {
+  const cits = parseCitations("Uno [A.pdf | p. 3]. Dos [A.pdf | p. 16–19]. Tres [B.txt | chunk 4].");
+  assert.deepEqual(cits.map(c => [c.doc, c.pageStart, c.pageEnd, c.chunkIndex]), [
+    ["A.pdf", 3, 3, null], ["A.pdf", 16, 19, null], ["B.txt", null, null, 4]
+  ]);
+  assert.equal(stripCitations("Texto [A.pdf | p. 3] final."), "Texto final.");
+});
+
+test("respuesta con respaldo y citas válidas", () => {
+  const r = checkGrounding("La misión de la universidad es formar profesionales con compromiso regional. [Proyecto Institucional.pdf | p. 4]", contexts);
+  assert.equal(r.score, 1);
+  assert.deepEqual(r.citations, { total: 1, valid: 1, invalid: [] });
+});
+
+test("cita a un contexto no recuperado y oración inventada", () => {
+  const r = checkGrounding("La universidad tiene doce campus en tres continentes distintos. [Proyecto Institucional.pdf | p. 40]", contexts);
+  assert.equal(r.score, 0);
+  assert.deepEqual(r.citations.invalid, ["[Proyecto Institucional.pdf | p. 40]"]);
+  assert.equal(r.unsupported.length, 1);
+});
+
+test("nada evaluable (respuesta corta o lista): score null, no 0", () => {
+  for (const answer of ["Sí. [Proyecto Institucional.pdf | p. 3]", "- Singapur\n- Chile", ""]) {
+    const r = checkGrounding(answer, contexts);
+    assert.equal(r.sentences, 0);
+    assert.equal(r.score, null);
+  }
+});
+
+test("answerWithGrounding: una respuesta corta no se reintenta ni se rechaza", async () => {
+  const { createRAG } = await import("../lib/rag.js");
+  let calls = 0;
+  const provider = { name: "stub", generate: async () => { calls++; return "Sí. [Proyecto Institucional.pdf | p. 3]"; } };
+  for (const GROUNDING_MODE of ["retry", "refuse"]) {
+    calls = 0;
+    const rag = createRAG({ provider, kbPath: "/nonexistent/kb_udl.json", env: { GROUNDING_MODE } });
+    const { answer, grounding } = await rag.answerWithGrounding("¿Forma profesionales?", contexts);
+    assert.equal(calls, 1);
+    assert.equal(answer, "Sí. [Proyecto Institucional.pdf | p. 3]");
+    assert.equal(grounding.low, false);
+    assert.equal(grounding.action, "none");
+  }
+});
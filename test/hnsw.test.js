@@ -0,0 +1,48 @@
+// Índice HNSW frente a la búsqueda exacta
+import test from "node:test";
+import assert from "node:assert/strict";
+import { buildHNSW, loadHNSW } from "../lib/hnsw.js";
+import { createVectorStore, queryVector } from "../lib/vectors.js";
+import { hashEmbedding } from "../lib/providers.js";
+
+const DIM = 128;
+const words = ["universidad", "formación", "docente", "acreditación", "Singapur", "Finlandia", "calidad",
+  "investigación", "estudiantes", "campus", "biblioteca", "objetivo", "desafío", "indicadores", "gobierno"];
+// 200 "chunks" de 4 palabras deterministas
+const texts = Array.from({ length: 200 }, (_, i) =>
+  [0, 1, 2, 3].map(k => words[(i * (k + 3) + k * 7) % words.length]).join(" ") + ` chunk${i}`);
+const store = createVectorStore(texts.map(t => hashEmbedding(t, DIM)));
+
+function exactTop(q, k) {
+  return [...store.scores(q)].map((score, i) => ({ i, score })).sort((a, b) => b.score - a.score).slice(0, k);
+}
+
+test("search: resultados ordenados por similitud y con buen recall", () => {
+  const index = buildHNSW(store, { M: 8, efConstruction: 64 });
+  let hits = 0;
+  let total = 0;
+  for (const query of ["formación docente", "acreditación calidad", "Singapur Finlandia", "biblioteca campus"]) {
+    const q = queryVector(hashEmbedding(query, DIM), DIM);
+    const got = index.search(q, 10, { ef: 64 });
+    assert.equal(got.length, 10);
+    for (let j = 1; j < got.length; j++) assert.ok(got[j - 1].score >= got[j].score);
+    // con empates (textos repetidos) cuenta el score, no el id
+    const kth = exactTop(q, 10)[9].score;
+    hits += got.filter(r => r.score >= kth - 1e-6).length;
+    total += 10;
+  }
+  assert.ok(hits / total >= 0.9, `recall@10 = ${hits / total}`);
+});
+
+test("buildHNSW: misma semilla -> mismo grafo", () => {
+  const a = buildHNSW(store, { M: 8, efConstruction: 32 }).serialize();
+  const b = buildHNSW(store, { M: 8, efConstruction: 32 }).serialize();
+  assert.deepEqual(Buffer.from(a), Buffer.from(b));
+});
+
+test("serialize / loadHNSW: el grafo cargado responde igual", () => {
+  const index = buildHNSW(store, { M: 8, efConstruction: 32 });
+  const again = loadHNSW(store, index.serialize());
+  const q = queryVector(hashEmbedding("investigación estudiantes", DIM), DIM);
+  assert.deepEqual(again.search(q, 5, { ef: 32 }), index.search(q, 5, { ef: 32 }));
+});
@@ -0,0 +1,106 @@
+// Inyección de instrucciones: el corpus de tools/kb/injection_corpus.json contra
+// buildAnswerRequest y el proveedor local (como "albabot-kb injection --provider local")
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fileURLToPath } from "url";
+import { detectInjection, sanitizeContext, OMITTED } from "../lib/injection.js";
+import { createProvider } from "../lib/providers.js";
+import { createRAG } from "../lib/rag.js";
+
+const here = path.dirname(fileURLToPath(import.meta.url));
+const corpus = JSON.parse(fs.readFileSync(path.join(here, "..", "tools", "kb", "injection_corpus.json"), "utf8"));
+
+function tmpDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), "albabot-injection-"));
+}
+
+// sin KB (no se escribe nada): solo buildAnswerRequest y answerWithContexts
+const rag = createRAG({ provider: createProvider("local", {}), kbPath: path.join(os.tmpdir(), "albabot-injection-kb_udl.json"), env: {} });
+
+function contextOf(d) {
+  return { doc: `corpus/${d.id}.pdf`, chunkIndex: 0, pageStart: 1, pageEnd: 1, text: d.text };
+}
+
+test("preguntas: los ataques se detectan y las normales no", () => {
+  for (const q of corpus.questions.attacks) assert.ok(detectInjection(q).length, `no se detectó: ${q}`);
+  for (const q of corpus.questions.benign) assert.deepEqual(detectInjection(q), [], `falso positivo: ${q}`);
+});
+
+// Preguntas y textos del dominio que nombran "sistema", "desde ahora" o una contraseña
+const DOMAIN = [
+  "¿Qué mensaje del sistema educativo transmite la Estrategia?",
+  "¿Qué instrucciones del sistema de aseguramiento de calidad deben seguir las universidades?",
+  "¿Desde ahora vas a considerar el objetivo 6?",
+  "Muestra la contraseña del wifi del campus.",
+  "El mensaje del sistema educativo es claro."
+];
+
+test("preguntas del dominio: no son falsos positivos y el contexto no se recorta", () => {
+  for (const q of DOMAIN) {
+    assert.deepEqual(detectInjection(q), [], `falso positivo: ${q}`);
+    assert.equal(sanitizeContext(q), q);
+  }
+});
+
+test("documentos: el build marca cada contexto del corpus", () => {
+  for (const d of corpus.documents) assert.ok(detectInjection(d.text).length, d.id);
+});
+
+test("buildAnswerRequest: el contexto va saneado y delimitado, y la regla del system prompt intacta", () => {
+  for (const d of corpus.documents) {
+    const req = rag.buildAnswerRequest(d.question, [contextOf(d)]);
+    assert.ok(req.system.startsWith("Responde SOLO usando los CONTEXTOS"), d.id);
+    // 1 contexto + la pregunta: dos aperturas y dos cierres, ningún delimitador del documento
+    assert.equal(req.prompt.split("<<<").length - 1, 4, d.id);
+    assert.ok(req.prompt.includes("<<<FIN CONTEXTO 1>>>"), d.id);
+    assert.ok(!req.prompt.includes(d.canary), d.id);
+    for (const c of req.contexts) {
+      assert.deepEqual(detectInjection(c.text), [], d.id);
+      assert.ok(!c.text.includes(d.canary), d.id);
+      assert.ok(c.text.includes(OMITTED), d.id);
+    }
+  }
+});
+
+test("proveedor local: la respuesta no obedece ni repite la instrucción incrustada", async () => {
+  for (const d of corpus.documents) {
+    const answer = await rag.answerWithContexts(d.question, [contextOf(d)]);
+    assert.ok(answer.trim(), d.id);
+    assert.ok(!answer.toLowerCase().includes(d.canary.toLowerCase()), `${d.id}: ${answer}`);
+    // sin las citas ([corpus/jailbreak.pdf | p. 1] nombra el patrón)
+    const body = answer.replace(/\[[^\]]*\]/g, "");
+    assert.deepEqual(detectInjection(body), [], `${d.id}: ${answer}`);
+    // lo que se cita sale del contexto saneado
+    const clean = sanitizeContext(d.text);
+    for (const s of body.split(/(?<=[.!?])\s+/).map(x => x.trim()).filter(x => x.length > 20)) {
+      assert.ok(clean.includes(s.replace(/\s+$/, "")), `${d.id}: "${s}" no está en el contexto`);
+    }
+  }
+});
+
+test("buildKB: un solo aviso por build con el total de chunks marcados", async () => {
+  const dir = tmpDir();
+  const docs = path.join(dir, "docs");
+  fs.mkdirSync(docs);
+  for (const d of corpus.documents.slice(0, 3)) fs.writeFileSync(path.join(docs, `${d.id}.txt`), `${d.text}\n`);
+  const local = createRAG({ provider: createProvider("local", {}), docsDir: docs, kbPath: path.join(dir, "kb_udl.json"), env: {} });
+
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(" "));
+  try {
+    await local.buildKB({ full: true });
+  } finally {
+    console.warn = warn;
+  }
+  const flagged = warnings.filter(w => w.includes("inyección"));
+  assert.equal(flagged.length, 1);
+  assert.match(flagged[0], /en 3 chunk\(s\)/);
+
+  const kb = JSON.parse(fs.readFileSync(path.join(dir, "kb_udl.json"), "utf8"));
+  assert.equal(kb.meta.lastBuild.injections.length, 3);
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,139 @@
+// Builds en segundo plano (lib/jobs.js) y el candado entre procesos de la KB (withKBLock en lib/rag.js)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createBuildQueue } from "../lib/jobs.js";
+import { withKBLock } from "../lib/rag.js";
+
+// rag de mentira: cada buildKB queda pendiente hasta que el test lo termina
+function fakeRag({ usable = true, stale = false } = {}) {
+  const builds = [];
+  const rag = {
+    kb: usable ? { meta: { chunkCount: 1 } } : null,
+    stale,
+    builds,
+    loadKB: () => rag.kb,
+    kbIsUsable: (kb) => !!kb,
+    kbIsStale: async () => rag.stale,
+    buildKB: ({ full, onProgress }) => new Promise((resolve, reject) => {
+      onProgress({ done: 0, total: 1 });
+      builds.push({
+        full,
+        finish: (meta = { chunkCount: 2 }) => { rag.kb = { meta }; rag.stale = false; resolve(meta); },
+        fail: (message) => reject(new Error(message))
+      });
+    })
+  };
+  return rag;
+}
+
+function tick() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+test("enqueue: un build a la vez y a lo sumo uno en espera, que absorbe los pedidos nuevos", async () => {
+  const rag = fakeRag();
+  const queue = createBuildQueue({ rag });
+  const first = queue.enqueue({ reason: "docs" });
+  assert.equal(first.status, "queued");
+  await tick();
+  assert.equal(queue.get(first.id).status, "running");
+  assert.deepEqual(queue.get(first.id).progress, { done: 0, total: 1 });
+
+  const second = queue.enqueue({ reason: "docs" });
+  const third = queue.enqueue({ full: true });
+  assert.equal(third.id, second.id);
+  assert.equal(queue.get(second.id).full, true);
+  assert.equal(queue.active().id, first.id);
+  assert.equal(rag.builds.length, 1);
+
+  rag.builds[0].finish({ chunkCount: 5 });
+  const done = await queue.wait(first.id);
+  assert.equal(done.status, "done");
+  assert.deepEqual(done.meta, { chunkCount: 5 });
+
+  await tick();
+  assert.equal(rag.builds.length, 2);
+  assert.equal(rag.builds[1].full, true);
+  rag.builds[1].fail("sin espacio");
+  const failed = await queue.wait(second.id);
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "sin espacio");
+  assert.equal(queue.active(), null);
+  assert.deepEqual(queue.list().map(j => j.id), [second.id, first.id]);
+  assert.equal(await queue.wait("no-existe"), null);
+});
+
+test("enqueue: solo se recuerdan los últimos keep jobs terminados", async () => {
+  const rag = fakeRag();
+  const queue = createBuildQueue({ rag, keep: 2 });
+  for (let i = 0; i < 3; i++) {
+    const job = queue.enqueue();
+    await tick();
+    rag.builds[i].finish();
+    await queue.wait(job.id);
+  }
+  assert.equal(queue.list().length, 2);
+});
+
+test("currentKB: sin KB espera el build; con /docs cambiado responde con la actual y encola", async () => {
+  const empty = fakeRag({ usable: false });
+  const queue = createBuildQueue({ rag: empty });
+  const pending = queue.currentKB();
+  await tick();
+  assert.equal(queue.active().reason, "missing");
+  empty.builds[0].finish({ chunkCount: 3 });
+  assert.deepEqual((await pending).meta, { chunkCount: 3 });
+
+  const stale = fakeRag({ stale: true });
+  const bg = createBuildQueue({ rag: stale });
+  const kb = stale.kb;
+  assert.equal(await bg.currentKB(), kb);
+  assert.equal(bg.active().reason, "stale");
+  // mientras corre no se encola otro
+  assert.equal(await bg.currentKB(), kb);
+  assert.equal(bg.list().length, 1);
+});
+
+test("currentKB: un build que falla sin KB responde el error; un auto-rebuild fallido espera retryAfterMs", async () => {
+  const empty = fakeRag({ usable: false });
+  const queue = createBuildQueue({ rag: empty });
+  const pending = queue.currentKB();
+  await tick();
+  empty.builds[0].fail("docs/ vacío");
+  await assert.rejects(pending, /No se pudo construir la KB: docs\/ vacío/);
+
+  const stale = fakeRag({ stale: true });
+  const bg = createBuildQueue({ rag: stale, retryAfterMs: 60 * 1000 });
+  await bg.currentKB();
+  await tick();
+  stale.builds[0].fail("sin red");
+  await bg.wait(bg.list()[0].id);
+  await bg.currentKB();
+  assert.equal(bg.list().length, 1);
+});
+
+test("withKBLock: un build a la vez sobre la misma KB y el candado se libera aunque falle", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "albabot-jobs-"));
+  const kbPath = path.join(dir, "kb_udl.json");
+  let release;
+  let started;
+  const inside = new Promise(resolve => { started = resolve; });
+  const running = withKBLock(kbPath, () => new Promise(resolve => { release = resolve; started(); }));
+  await inside;
+  assert.equal(JSON.parse(fs.readFileSync(`${kbPath}.lock`, "utf8")).pid, process.pid);
+  await assert.rejects(withKBLock(kbPath, async () => "otro"), /Ya hay un build en curso/);
+  release("listo");
+  assert.equal(await running, "listo");
+  assert.equal(fs.existsSync(`${kbPath}.lock`), false);
+
+  await assert.rejects(withKBLock(kbPath, async () => { throw new Error("falló"); }), /falló/);
+  assert.equal(fs.existsSync(`${kbPath}.lock`), false);
+
+  // el candado de un proceso que ya no existe se toma
+  fs.writeFileSync(`${kbPath}.lock`, JSON.stringify({ pid: 2 ** 30, startedAt: "2026-01-01T00:00:00.000Z" }));
+  assert.equal(await withKBLock(kbPath, async () => "tomado"), "tomado");
+  fs.rmSync(dir, { recursive: true, force: true });
+});
@@ -0,0 +1,133 @@
+// Límites del chat: ventana por IP / sesión, presupuesto diario y largo del mensaje
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createRateLimiter, createDailyBudget, createChatLimits, estimateTokens, limitError, sendLimitError } from "../lib/limits.js";
+
+function req(body = {}, ip = "10.0.0.1") {
+  return { body, ip };
+}
+
+function fakeRes() {
+  const res = { statusCode: 200, headers: {}, body: null };
+  res.set = (k, v) => { res.headers[k] = v; return res; };
+  res.status = (s) => { res.statusCode = s; return res; };
+  res.json = (b) => { res.body = b; return res; };
+  return res;
+}
+
+test("estimateTokens: ~4 caracteres por token", () => {
+  assert.equal(estimateTokens("abcd", "abcdefgh"), 3);
+  assert.equal(estimateTokens(null, undefined), 0);
+});
+
+test("createRateLimiter: max por ventana y retryAfter", () => {
+  const rl = createRateLimiter({ windowMs: 1000, max: 2 });
+  assert.equal(rl.hit("a", 0).ok, true);
+  assert.equal(rl.hit("a", 100).ok, true);
+  const third = rl.hit("a", 200);
+  assert.equal(third.ok, false);
+  assert.equal(third.retryAfterMs, 800);
+  assert.equal(rl.hit("b", 200).ok, true);
+  assert.equal(rl.hit("a", 1001).ok, true);
+});
+
+test("createRateLimiter: peek no registra el evento", () => {
+  const rl = createRateLimiter({ windowMs: 1000, max: 1 });
+  for (let i = 0; i < 3; i++) assert.equal(rl.peek("a", 0).ok, true);
+  rl.hit("a", 0);
+  const r = rl.peek("a", 400);
+  assert.equal(r.ok, false);
+  assert.equal(r.retryAfterMs, 600);
+});
+
+test("createRateLimiter: max 0 = sin límite", () => {
+  const rl = createRateLimiter({ max: 0 });
+  for (let i = 0; i < 50; i++) assert.equal(rl.hit("a").ok, true);
+});
+
+test("createDailyBudget: se gasta por clave y se reinicia al cambiar de día (UTC)", () => {
+  const day1 = Date.UTC(2026, 0, 1, 12);
+  const budget = createDailyBudget({ limit: 100 });
+  budget.spend("ip", 60, day1);
+  assert.equal(budget.remaining("ip", day1), 40);
+  assert.equal(budget.remaining("otra", day1), 100);
+  assert.equal(budget.remaining("ip", day1 + 24 * 3600 * 1000), 100);
+  assert.equal(createDailyBudget({ limit: 0 }).remaining("x"), Infinity);
+});
+
+test("check: falta message -> 400, demasiado largo -> 413", () => {
+  const limits = createChatLimits({ env: { CHAT_MAX_CHARS: "50" } });
+  assert.throws(() => limits.check(req({})), e => e.status === 400 && e.code === "missing_message");
+  assert.throws(() => limits.check(req({ message: "x".repeat(51) })), e => e.status === 413);
+  assert.equal(limits.check(req({ message: "  hola  " })), "hola");
+});
+
+test("check: ritmo por IP -> 429 rate_limited", () => {
+  const limits = createChatLimits({ env: { RATE_LIMIT_IP_PER_MIN: "2", RATE_LIMIT_SESSION_PER_MIN: "0" } });
+  limits.check(req({ message: "a" }));
+  limits.check(req({ message: "b" }));
+  assert.throws(() => limits.check(req({ message: "c" })), e => e.status === 429 && e.code === "rate_limited" && e.retryAfter > 0);
+  assert.equal(limits.check(req({ message: "d" }, "10.0.0.2")), "d");
+});
+
+test("check: la ventana por sesión es por IP + sessionId", () => {
+  const limits = createChatLimits({ env: { RATE_LIMIT_IP_PER_MIN: "0", RATE_LIMIT_SESSION_PER_MIN: "1" } });
+  limits.check(req({ message: "a", sessionId: "sesion-0001" }));
+  assert.throws(() => limits.check(req({ message: "b", sessionId: "sesion-0001" })), e => e.code === "rate_limited");
+  // el mismo id desde otra IP no gasta la ventana de la primera
+  assert.equal(limits.check(req({ message: "c", sessionId: "sesion-0001" }, "10.0.0.2")), "c");
+});
+
+test("check: cambiar de sessionId no esquiva el límite por IP", () => {
+  const limits = createChatLimits({ env: { RATE_LIMIT_IP_PER_MIN: "3", RATE_LIMIT_SESSION_PER_MIN: "1" } });
+  for (let i = 0; i < 3; i++) limits.check(req({ message: "a", sessionId: `sesion-${1000 + i}` }));
+  assert.throws(() => limits.check(req({ message: "b", sessionId: "sesion-9999" })), e => e.status === 429 && e.code === "rate_limited");
+});
+
+test("check: una pregunta rechazada por sesión no gasta la ventana de la IP", () => {
+  const limits = createChatLimits({ env: { RATE_LIMIT_IP_PER_MIN: "2", RATE_LIMIT_SESSION_PER_MIN: "1" } });
+  limits.check(req({ message: "a", sessionId: "sesion-0001" }));
+  for (let i = 0; i < 5; i++) {
+    assert.throws(() => limits.check(req({ message: "b", sessionId: "sesion-0001" })), e => e.code === "rate_limited");
+  }
+  // a la IP le queda su segunda pregunta (los rechazos no la gastaron)
+  assert.equal(limits.check(req({ message: "c", sessionId: "sesion-0002" })), "c");
+  assert.throws(() => limits.check(req({ message: "d", sessionId: "sesion-0003" })), e => e.code === "rate_limited");
+});
+
+test("charge: el presupuesto de sesión no se comparte entre IPs", () => {
+  const limits = createChatLimits({ env: { DAILY_TOKENS_SESSION: "100", DAILY_TOKENS_IP: "0", RATE_LIMIT_IP_PER_MIN: "0", RATE_LIMIT_SESSION_PER_MIN: "0" } });
+  const a = req({ message: "hola", sessionId: "sesion-0001" });
+  limits.check(a);
+  limits.charge(a, 100);
+  assert.throws(() => limits.check(a), e => e.code === "daily_budget");
+  assert.equal(limits.check(req({ message: "hola", sessionId: "sesion-0001" }, "10.0.0.9")), "hola");
+});
+
+test("charge: agotar el presupuesto diario de la IP -> 429 daily_budget", () => {
+  const limits = createChatLimits({ env: { DAILY_TOKENS_IP: "100", RATE_LIMIT_IP_PER_MIN: "0" } });
+  const r = req({ message: "hola" });
+  limits.check(r);
+  limits.charge(r, 100);
+  assert.throws(() => limits.check(r), e => e.status === 429 && e.code === "daily_budget");
+});
+
+test("guard: responde JSON con Retry-After en 429", () => {
+  const limits = createChatLimits({ env: { RATE_LIMIT_IP_PER_MIN: "1" } });
+  let nexts = 0;
+  limits.guard(req({ message: "a" }), fakeRes(), () => nexts++);
+  const res = fakeRes();
+  limits.guard(req({ message: "b" }), res, () => nexts++);
+  assert.equal(nexts, 1);
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.ok, false);
+  assert.equal(res.headers["Retry-After"], String(res.body.retryAfter));
+});
+
+test("sendLimitError: sin retryAfter no manda la cabecera", () => {
+  const res = fakeRes();
+  sendLimitError(res, limitError(413, "message_too_long", "largo"));
+  assert.equal(res.statusCode, 413);
+  assert.equal(res.headers["Retry-After"], undefined);
+  assert.deepEqual(res.body, { ok: false, code: "message_too_long", error: "largo", retryAfter: null });
+});
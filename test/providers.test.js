@@ -0,0 +1,62 @@
+// Proveedor local (offline): embeddings por hashing y respuesta extractiva.
+// Las pruebas corren con "node --test test/" desde la raíz (node:test, sin dependencias extra;
+// las que levantan express o leen PDFs necesitan node_modules instalado).
+import test from "node:test";
+import assert from "node:assert/strict";
+import { createProvider, hashEmbedding, composeExtractiveAnswer } from "../lib/providers.js";
+
+const contexts = [
+  { doc: "Proyecto Institucional.pdf", chunkIndex: 0, pageStart: 3, pageEnd: 4, text: "La misión de la universidad es formar profesionales con compromiso regional. El campus tiene biblioteca." },
+  { doc: "Directrices (paises).pdf", chunkIndex: 2, pageStart: 10, pageEnd: 10, text: "Singapur invierte en formación técnica continua para adultos trabajadores." }
+];
+
+function cosine(a, b) {
+  return a.reduce((s, x, i) => s + x * b[i], 0);
+}
+
+test("createProvider: local no necesita red ni OpenAI", () => {
+  const p = createProvider("local", {});
+  assert.equal(p.name, "local");
+  assert.equal(p.embedModel, "local-hash-1024");
+  assert.throws(() => createProvider("otro", {}), /AI_PROVIDER desconocido/);
+});
+
+test("hashEmbedding: determinista, normalizado y con la dimensión pedida", () => {
+  const a = hashEmbedding("misión de la universidad", 256);
+  assert.equal(a.length, 256);
+  assert.deepEqual(a, hashEmbedding("misión de la universidad", 256));
+  assert.ok(Math.abs(cosine(a, a) - 1) < 1e-9);
+});
+
+test("hashEmbedding: textos parecidos quedan más cerca que textos distintos", () => {
+  const q = hashEmbedding("¿Cuál es la misión de la universidad?");
+  const near = hashEmbedding("La misión de la universidad es formar profesionales");
+  const far = hashEmbedding("Singapur invierte en formación técnica");
+  assert.ok(cosine(q, near) > cosine(q, far));
+});
+
+test("embed: un vector por texto con LOCAL_EMBED_DIM acotado", async () => {
+  const p = createProvider("local", { LOCAL_EMBED_DIM: "50" });
+  const out = await p.embed(["uno", "dos"]);
+  assert.equal(out.length, 2);
+  assert.equal(out[0].length, 128);
+});
+
+test("composeExtractiveAnswer: oraciones de los contextos con su cita", () => {
+  const answer = composeExtractiveAnswer("¿Cuál es la misión de la universidad?", contexts);
+  assert.match(answer, /La misión de la universidad es formar profesionales/);
+  assert.match(answer, /\[Proyecto Institucional\.pdf \| p\. 3–4\]/);
+  assert.doesNotMatch(answer, /Singapur/);
+});
+
+test("composeExtractiveAnswer: sin coincidencias -> no encontré evidencia", () => {
+  assert.match(composeExtractiveAnswer("astronomía de exoplanetas", contexts), /^No encontré evidencia/);
+});
+
+test("generate y stream devuelven lo mismo", async () => {
+  const p = createProvider("local", {});
+  const req = { question: "misión de la universidad", contexts };
+  let streamed = "";
+  for await (const piece of p.stream(req)) streamed += piece;
+  assert.equal(streamed, await p.generate(req));
+});
@@ -0,0 +1,99 @@
+// Estáticos públicos: el handler de lib/public.js delante de express (necesita node_modules)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import express from "express";
+import { createPublicHandler } from "../lib/public.js";
+
+// Raíz de mentira con todo lo que no debe salir (y lo que sí)
+function fakeRoot() {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), "albabot-public-"));
+  const files = {
+    "server.js": "// servidor",
+    ".env": "OPENAI_API_KEY=sk-test",
+    "kb_udl.json": "{\"chunks\":[]}",
+    "kb_udl.vec": "VEC",
+    "requests.jsonl": "{}",
+    "lib/rag.js": "// rag",
+    "lib/search.js": "// search",
+    "tools/albabot-kb.js": "// cli",
+    "backups/kb_udl/20251209_153746/backup.json": "{}",
+    "chat.html": "<!doctype html><title>chat</title>",
+    "docs/Proyecto Institucional.pdf": "%PDF-1.4 prueba",
+    "docs/Informe año.html": "<!doctype html><script>fetch('/api/admin/docs')</script>",
+    "docs/.upload-123.tmp": "a medio subir"
+  };
+  for (const [rel, body] of Object.entries(files)) {
+    fs.mkdirSync(path.dirname(path.join(root, rel)), { recursive: true });
+    fs.writeFileSync(path.join(root, rel), body);
+  }
+  return root;
+}
+
+async function withServer(fn) {
+  const root = fakeRoot();
+  const app = express();
+  app.use(createPublicHandler({ root, docsDir: path.join(root, "docs") }));
+  const server = app.listen(0, "127.0.0.1");
+  await new Promise(resolve => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+  try {
+    await fn(base);
+  } finally {
+    await new Promise(resolve => server.close(resolve));
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+}
+
+test("createPublicHandler: código, secretos, KB del RAG y runtime dan 404", async () => {
+  await withServer(async (base) => {
+    for (const p of [
+      "/server.js", "/.env", "/kb_udl.json", "/kb_udl.vec", "/lib/rag.js",
+      "/backups/kb_udl/20251209_153746/backup.json", "/requests.jsonl", "/tools/albabot-kb.js",
+      "/docs/..%2Fserver.js", "/docs/.upload-123.tmp", "/docs/../server.js"
+    ]) {
+      const res = await fetch(base + p);
+      assert.equal(res.status, 404, p);
+      await res.arrayBuffer();
+    }
+  });
+});
+
+test("createPublicHandler: páginas, libs del chat y documentos dan 200", async () => {
+  await withServer(async (base) => {
+    for (const [p, body] of [
+      ["/chat.html", "<!doctype html><title>chat</title>"],
+      ["/lib/search.js", "// search"],
+      ["/docs/Proyecto%20Institucional.pdf", "%PDF-1.4 prueba"]
+    ]) {
+      const res = await fetch(base + p);
+      assert.equal(res.status, 200, p);
+      assert.equal(await res.text(), body);
+    }
+  });
+});
+
+test("createPublicHandler: un HTML subido se descarga (attachment + CSP sandbox), el PDF se abre", async () => {
+  await withServer(async (base) => {
+    const html = await fetch(`${base}/docs/${encodeURIComponent("Informe año.html")}`);
+    assert.equal(html.status, 200);
+    assert.match(html.headers.get("content-disposition"), /^attachment; filename="Informe ano.html"; filename\*=UTF-8''Informe%20a%C3%B1o.html$/);
+    assert.equal(html.headers.get("content-security-policy"), "sandbox");
+    assert.equal(html.headers.get("x-content-type-options"), "nosniff");
+    await html.arrayBuffer();
+
+    const pdf = await fetch(`${base}/docs/Proyecto%20Institucional.pdf`);
+    assert.equal(pdf.status, 200);
+    assert.equal(pdf.headers.get("content-disposition"), null);
+    assert.equal(pdf.headers.get("x-content-type-options"), "nosniff");
+    await pdf.arrayBuffer();
+
+    // un documento que no existe sigue siendo un 404 normal
+    const missing = await fetch(`${base}/docs/otro.html`);
+    assert.equal(missing.status, 404);
+    assert.equal(missing.headers.get("content-disposition"), null);
+    await missing.arrayBuffer();
+  });
+});
@@ -0,0 +1,94 @@
+// Chat por Server-Sent Events (/api/chat/stream de server.js, necesita node_modules)
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const SERVER = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "server.js");
+
+// server.js en una carpeta temporal (docs/ propia, proveedor local, sin log de preguntas)
+async function withServer(fn) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "albabot-stream-"));
+  fs.mkdirSync(path.join(dir, "docs"));
+  fs.writeFileSync(path.join(dir, "docs", "Reglamento.txt"), [
+    "Las prácticas profesionales duran un semestre y se evalúan con un informe final.",
+    "Las becas completas cubren el arancel de la carrera durante toda la duración del plan."
+  ].join("\n\n") + "\n");
+  const port = 40000 + Math.floor(Math.random() * 20000);
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: dir,
+    env: { ...process.env, PORT: String(port), AI_PROVIDER: "local", QUESTION_LOG: "0", GROUNDING_MODE: "report" },
+    stdio: ["ignore", "pipe", "pipe"]
+  });
+  try {
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error("server.js no arrancó")), 15000);
+      child.stdout.on("data", d => { if (String(d).includes(`:${port}`)) { clearTimeout(timer); resolve(); } });
+      child.once("exit", code => { clearTimeout(timer); reject(new Error(`server.js terminó (${code})`)); });
+    });
+    await fn(`http://127.0.0.1:${port}`);
+  } finally {
+    if (child.exitCode === null) {
+      child.kill();
+      await new Promise(resolve => child.once("exit", resolve));
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+}
+
+function post(base, route, body) {
+  return fetch(base + route, { method: "POST", headers: { "content-type": "application/json" }, body: JSON.stringify(body) });
+}
+
+// "event: x\ndata: {...}\n\n" -> [{ event, data }]
+async function readEvents(res) {
+  const text = await res.text();
+  return text.split("\n\n").filter(Boolean).map(block => {
+    const event = block.match(/^event: (.+)$/m)[1];
+    const data = JSON.parse(block.match(/^data: (.+)$/m)[1]);
+    return { event, data };
+  });
+}
+
+test("/api/chat/stream: sources, deltas y done, con la misma respuesta que /api/chat", async () => {
+  await withServer(async (base) => {
+    const res = await post(base, "/api/chat/stream", { message: "¿Cuánto duran las prácticas profesionales?", sessionId: "sesion-stream-1" });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get("content-type"), /^text\/event-stream/);
+    const events = await readEvents(res);
+
+    const names = events.map(e => e.event);
+    assert.equal(names[0], "sources");
+    assert.equal(names[names.length - 1], "done");
+    assert.ok(names.slice(1, -1).length && names.slice(1, -1).every(n => n === "delta"));
+
+    const [sources] = events;
+    assert.equal(sources.data.sessionId, "sesion-stream-1");
+    assert.deepEqual(Object.keys(sources.data.filters).sort(), ["applied", "boosted", "relaxed"]);
+    assert.equal(sources.data.sources[0].doc, "Reglamento.txt");
+
+    const done = events[events.length - 1].data;
+    assert.equal(done.ok, true);
+    assert.ok(done.grounding);
+
+    const streamed = events.filter(e => e.event === "delta").map(e => e.data.text).join("");
+    assert.match(streamed, /un semestre/);
+    const json = await (await post(base, "/api/chat", { message: "¿Cuánto duran las prácticas profesionales?" })).json();
+    assert.equal(streamed, json.answer);
+  });
+});
+
+test("/api/chat/stream: la pregunta de seguimiento se reescribe con la sesión y sin message responde 400 en JSON", async () => {
+  await withServer(async (base) => {
+    await readEvents(await post(base, "/api/chat/stream", { message: "¿Qué cubren las becas completas?", sessionId: "sesion-stream-2" }));
+    const events = await readEvents(await post(base, "/api/chat/stream", { message: "¿y cuánto duran?", sessionId: "sesion-stream-2" }));
+    assert.match(events[0].data.query, /becas/);
+
+    const bad = await post(base, "/api/chat/stream", {});
+    assert.equal(bad.status, 400);
+    assert.equal((await bad.json()).code, "missing_message");
+  });
+});
@@ -0,0 +1,68 @@
+// Almacén binario de embeddings (float32 / int8) y archivo .vec
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createVectorStore, queryVector, vectorPathFor, writeVectorFile, readVectorFile } from "../lib/vectors.js";
+import { hashEmbedding } from "../lib/providers.js";
+
+const texts = [
+  "misión de la universidad y formación de profesionales",
+  "Singapur invierte en formación técnica",
+  "acreditación institucional cada cinco años",
+  "biblioteca y servicios del campus"
+];
+const embeddings = texts.map(t => hashEmbedding(t, 256));
+
+test("createVectorStore: normaliza y calcula similitud coseno", () => {
+  const store = createVectorStore([[3, 4], [0, 2]]);
+  assert.equal(store.dim, 2);
+  assert.equal(store.count, 2);
+  assert.ok(Math.abs(store.dot(queryVector([3, 4], 2), 0) - 1) < 1e-6);
+  assert.ok(Math.abs(store.dot(queryVector([0, 1], 2), 1) - 1) < 1e-6);
+});
+
+test("createVectorStore: rechaza dimensiones distintas y dtype desconocido", () => {
+  assert.throws(() => createVectorStore([[1, 2], [1]]), /dimensión 1/);
+  assert.throws(() => createVectorStore([[1]], { dtype: "f16" }), /VECTOR_DTYPE desconocido/);
+});
+
+test("int8: 4x más chico y mismo ranking que float32", () => {
+  const f32 = createVectorStore(embeddings);
+  const i8 = createVectorStore(embeddings, { dtype: "int8" });
+  assert.ok(i8.bytes < f32.bytes / 3);
+  const q = queryVector(hashEmbedding("formación técnica en Singapur", 256), 256);
+  const rank = (s) => [...s.scores(q)].map((v, i) => [v, i]).sort((a, b) => b[0] - a[0]).map(([, i]) => i);
+  assert.deepEqual(rank(i8), rank(f32));
+  assert.equal(rank(f32)[0], 1);
+});
+
+test("queryVector: dimensión distinta de la KB -> error claro", () => {
+  assert.throws(() => queryVector([1, 2, 3], 2), /reconstruye la KB/);
+});
+
+test("vectorPathFor: kb_udl.json -> kb_udl.vec", () => {
+  assert.equal(vectorPathFor("/x/kb_udl.json"), "/x/kb_udl.vec");
+});
+
+test("writeVectorFile / readVectorFile: ida y vuelta con id y grafo", async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "albabot-vec-"));
+  try {
+    for (const dtype of ["float32", "int8"]) {
+      const store = createVectorStore(embeddings, { dtype });
+      const file = path.join(dir, `${dtype}.vec`);
+      const id = "0123456789abcdef0123456789abcdef";
+      await writeVectorFile(file, store, { id, graph: new Uint8Array([1, 2, 3]) });
+      const back = readVectorFile(file);
+      assert.equal(back.id, id);
+      assert.equal(back.store.dtype, dtype);
+      assert.deepEqual([...back.store.get(2)], [...store.get(2)]);
+      assert.deepEqual([...back.graph], [1, 2, 3]);
+    }
+    fs.writeFileSync(path.join(dir, "malo.vec"), "no soy vectores");
+    assert.throws(() => readVectorFile(path.join(dir, "malo.vec")), /no es un archivo de vectores/);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+// tools/albabot-kb.js
+// CLI único para la KB de AlbaBot.
+//
+// Uso:
+//   node tools/albabot-kb.js <comando> [opciones]
+//
+// Comandos: build, merge, validate, stats, diff, restore, backups, answer, eval, questions, injection
+
+const COMMANDS = {
+  build: require("./kb/build.js"),
+  merge: require("./kb/merge.js"),
+  validate: require("./kb/validate.js"),
+  stats: require("./kb/stats.js"),
+  diff: require("./kb/diff.js"),
+  restore: require("./kb/restore.js"),
+  backups: require("./kb/backups.js"),
+  answer: require("./kb/answer.js"),
+  eval: require("./kb/eval.js"),
+  questions: require("./kb/questions.js"),
+  injection: require("./kb/injection.js"),
+};
+
+function usage() {
+  console.log("Uso: albabot-kb <comando> [opciones]\n");
+  for (const cmd of Object.values(COMMANDS)) console.log(`  ${cmd.USAGE}`);
+}
+
+async function main() {
+  const [name, ...argv] = process.argv.slice(2);
+
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    usage();
+    return;
+  }
+
+  const cmd = COMMANDS[name];
+  if (!cmd) {
+    console.error(`❌ Comando desconocido: ${name}\n`);
+    usage();
+    process.exit(1);
+  }
+
+  await cmd.run(argv);
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,187 @@
+// tools/kb/answer.js
+// albabot-kb answer: responde en lote las preguntas sin respuesta de un dataset
+// ({preguntas}, preguntas_em09.json, ...) con el mismo pipeline de server.js
+// (lib/rag.js: retrieve + respuesta con citas).
+//
+// - Respeta orientacion_respuesta (formato_sugerido / instrucciones).
+// - Si la pregunta trae fuente.documento/paginas, busca primero en ese documento y
+//   esas páginas; si no hay nada ahí, cae a la búsqueda global.
+// - Escribe un dataset QA (review_status: "pending") que se puede revisar a mano
+//   y luego integrar con "albabot-kb merge". Se guarda tras cada pregunta, así que
+//   se puede cortar y retomar (las ya respondidas se saltan, salvo --force).
+
+const fs = require("fs");
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+const { parseArgs, readJson, writeJson, matchDoc, fail } = require("./common.js");
+
+const USAGE = `albabot-kb answer <preguntas.json> [--out <base>_QA_generado.json] [--docs docs] [--kb kb_udl.json] [--limit N] [--ids 1,2,3] [--force]`;
+
+// Margen (en páginas) alrededor de fuente.paginas al restringir la búsqueda
+const PAGE_MARGIN = 1;
+
+// "Formato sugerido" + instrucciones -> líneas para INSTRUCCIÓN
+function guidanceFor(block, docName, pageLabel) {
+  const lines = [];
+  const o = block.orientacion;
+  if (typeof o === "string" && o.trim()) {
+    lines.push(o.trim());
+  } else if (o && typeof o === "object") {
+    if (o.formato_sugerido) lines.push(`Formato sugerido: ${o.formato_sugerido}.`);
+    for (const ins of o.instrucciones || []) lines.push(`- ${ins}`);
+  }
+  if (docName) {
+    const where = pageLabel ? `${docName}, ${pageLabel}` : docName;
+    lines.push(`La pregunta se basa en ${where}: prioriza esos contextos y cita sus páginas.`);
+  }
+  return lines;
+}
+
+function overlaps(c, start, end) {
+  if (start == null || c.pageStart == null) return true;
+  const cEnd = c.pageEnd ?? c.pageStart;
+  return c.pageStart <= end + PAGE_MARGIN && cEnd >= start - PAGE_MARGIN;
+}
+
+// Citas usadas en la respuesta (si el modelo no citó ninguna, se listan todos los contextos)
+function citationsFor(answer, contexts, { citationLabel, docUrl, pageLabel }) {
+  const used = contexts.filter((c) => answer.includes(citationLabel(c)));
+  const seen = new Set();
+  return (used.length ? used : contexts).filter((c) => {
+    const label = citationLabel(c);
+    if (seen.has(label)) return false;
+    seen.add(label);
+    return true;
+  }).map((c) => ({
+    label: citationLabel(c),
+    doc: c.doc,
+    pages: pageLabel(c),
+    pageStart: c.pageStart,
+    pageEnd: c.pageEnd,
+    url: docUrl(c),
+  }));
+}
+
+function dropEmpty(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, v]) =>
+    v !== null && v !== undefined && v !== "" && !(Array.isArray(v) && !v.length)));
+}
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["force"] });
+  const [inPath] = args._;
+  if (!inPath) fail(`Uso: ${USAGE}`);
+  if (!fs.existsSync(inPath)) fail(`No existe: ${inPath}`);
+
+  await import("dotenv/config");
+  const { createProvider } = await import("../../lib/providers.js");
+  const { createRAG } = await import("../../lib/rag.js");
+  const { uniqueTokens } = await import("../../lib/text.js");
+  const labels = await import("../../lib/citations.js");
+
+  const dataset = path.basename(inPath).replace(/\.json$/i, "");
+  const outPath = args.out || path.join(path.dirname(inPath), `${dataset}_QA_generado.json`);
+
+  const wanted = args.ids ? new Set(String(args.ids).split(",").map((s) => s.trim())) : null;
+  const limit = args.limit ? Number(args.limit) : Infinity;
+
+  const pending = datasets.toBlocks(readJson(inPath), { dataset })
+    .filter((b) => !datasets.isAnswered(b) && b.question)
+    .filter((b) => !wanted || wanted.has(String(b.item_id)));
+
+  // Retoma: conserva lo ya generado (y revisado) en --out
+  const items = fs.existsSync(outPath) ? readJson(outPath) : [];
+  if (!Array.isArray(items)) fail(`${outPath} no es un dataset QA (array).`);
+  const done = new Map(items.map((it, i) => [String(it.id), i]));
+
+  const provider = createProvider(process.env.AI_PROVIDER || "openai");
+  const rag = createRAG({
+    provider,
+    docsDir: path.resolve(args.docs || "docs"),
+    kbPath: path.resolve(args.kb || "kb_udl.json"),
+  });
+  const kb = await rag.ensureKB();
+  const docNames = Object.keys(kb.meta.docs || {});
+
+  console.log(`📚 KB: ${kb.chunks.length} chunks · ${docNames.length} documentos · ${provider.name}/${provider.chatModel}`);
+  console.log(`❓ ${pending.length} preguntas sin respuesta en ${dataset}`);
+
+  let answered = 0;
+  let skipped = 0;
+
+  for (const b of pending) {
+    if (answered >= limit) break;
+    const id = String(b.item_id ?? b.id);
+    if (done.has(id) && !args.force) {
+      skipped++;
+      continue;
+    }
+
+    const doc = matchDoc(b.source, docNames, uniqueTokens);
+    const start = b.page_start;
+    const end = b.page_end ?? b.page_start;
+
+    // 1) documento/páginas de la fuente; 2) toda la KB
+    let contexts = [];
+    let scope = "global";
+    if (doc) {
+      contexts = await rag.retrieve(kb, b.question, {
+        where: (c) => c.doc === doc && overlaps(c, start, end),
+        perDocCap: rag.config.TOP_K,
+      });
+      if (contexts.length) scope = start != null ? "fuente-paginas" : "fuente";
+    }
+    if (!contexts.length) contexts = await rag.retrieve(kb, b.question);
+
+    const pages = doc && start != null ? labels.pageLabel({ pageStart: start, pageEnd: end }) : null;
+    const guidance = guidanceFor(b, doc, pages);
+    const { answer, grounding } = await rag.answerWithGrounding(b.question, contexts, { guidance });
+
+    const item = dropEmpty({
+      id: b.item_id ?? b.id,
+      question: b.question,
+      answer,
+      variants: b.variants,
+      tags: b.tags,
+      doc: b.source,
+      source_section: b.source_section,
+      page_start: b.page_start,
+      page_end: b.page_end,
+      country: b.country,
+      categoria: b.category,
+      tema: b.topic,
+      objetivo_numero: b.objetivo_numero,
+      objetivo_id: b.objetivo_id,
+      objetivo_nombre: b.objetivo_nombre,
+      desafio_id: b.desafio_id,
+      citations: citationsFor(answer, contexts, labels),
+      // sin respaldo (GROUNDING_MODE=refuse) no tiene sentido revisarla: queda fuera del merge
+      review_status: grounding.action === "refused" ? "rejected" : "pending",
+      generated: {
+        at: new Date().toISOString(),
+        provider: provider.name,
+        model: provider.chatModel,
+        dataset,
+        scope,
+        grounding: grounding.score,
+        invalid_citations: grounding.citations.invalid,
+      },
+    });
+
+    if (done.has(id)) items[done.get(id)] = item;
+    else {
+      done.set(id, items.length);
+      items.push(item);
+    }
+    writeJson(outPath, items);
+
+    answered++;
+    console.log(`${grounding.low ? "⚠️" : "✅"} ${id} (${scope}, ${item.citations.length} citas, respaldo ${grounding.score})`);
+  }
+
+  console.log("—");
+  console.log(`📝 ${answered} respuestas nuevas${skipped ? ` · ${skipped} ya generadas (usa --force para rehacer)` : ""} -> ${outPath}`);
+  console.log(`ℹ️ Revisa review_status ("approved" / "rejected") y luego: albabot-kb merge kb.json ${path.basename(outPath)}`);
+}
+
+module.exports = { run, USAGE, guidanceFor };
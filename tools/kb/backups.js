@@ -0,0 +1,104 @@
+// tools/kb/backups.js
+// albabot-kb backups: versiones guardadas en backups/ (lib/backups.js)
+//   list  [kb.json]                 versiones con su meta (todas las KBs si no se indica)
+//   diff  <kb.json> <id> [<id>|current]   chunks/bloques agregados, eliminados y modificados
+//   prune [kb.json]                 aplica la retención (BACKUP_KEEP / BACKUP_MAX_DAYS)
+//   adopt [--dir .]                 mueve a backups/ los respaldos sueltos de antes
+//                                   (kb_udl_backup_<stamp>.json, kb.json.bak_<stamp>, kb_udl_old.json)
+
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+const { parseArgs, readJson, backupsDirFor, fail } = require("./common.js");
+const { diffKB } = require("./diff.js");
+
+const USAGE = `albabot-kb backups list|diff|prune|adopt [kb.json] [<id> [<id>|current]] [--dir .] [--json]`;
+
+function describeMeta(m) {
+  if (!m) return "";
+  if (m.error) return `⚠️ no restaurable: ${m.error}`;
+  if (m.kind === "chunks") {
+    return `${m.chunkCount} chunks · ${m.docCount} docs · ${m.embedModel || "?"} · ${m.vectors}`;
+  }
+  if (m.kind === "blocks") {
+    return `${m.blocks} bloques · ${m.kb_id || "sin kb_id"}${m.version ? ` · v${m.version}` : ""}`;
+  }
+  return "";
+}
+
+function printVersions(entries) {
+  if (!entries.length) {
+    console.log("(sin respaldos)");
+    return;
+  }
+  for (const e of entries) {
+    const kb = (e.files.reduce((acc, f) => acc + f.bytes, 0) / 1024).toFixed(1);
+    console.log(`${e.name.padEnd(10)} ${e.id.padEnd(18)} ${e.reason.padEnd(10)} ${`${kb} KB`.padStart(10)}  ${describeMeta(e.meta)}`);
+  }
+}
+
+// JSON de una versión ("current" = el archivo en uso)
+function readVersion(store, kbPath, id) {
+  if (id === "current") return readJson(kbPath);
+  const entry = store.get(path.basename(kbPath, ".json"), id);
+  if (!entry) fail(`No existe el respaldo "${id}".`);
+  return readJson(store.filePath(entry, path.basename(kbPath)));
+}
+
+function printDiff(d) {
+  d.added.forEach((id) => console.log(`+ ${id}`));
+  d.removed.forEach((id) => console.log(`- ${id}`));
+  d.changed.forEach((c) => console.log(`~ ${c.id} (${c.fields.join(", ")})`));
+  if (d.docs) {
+    d.docs.added.forEach((n) => console.log(`📄+ ${n}`));
+    d.docs.removed.forEach((n) => console.log(`📄- ${n}`));
+    d.docs.changed.forEach((n) => console.log(`📄~ ${n}`));
+  }
+  console.log(`—\n+${d.added.length} -${d.removed.length} ~${d.changed.length} (=${d.unchanged})`);
+}
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["json"] });
+  const [action = "list", kbPath, from, to = "current"] = args._;
+  const { createBackupStore, diffChunks } = await import("../../lib/backups.js");
+
+  const store = createBackupStore({ dir: kbPath ? backupsDirFor(kbPath) : path.resolve(args.dir || ".", "backups") });
+  const name = kbPath ? path.basename(kbPath, ".json") : null;
+
+  if (action === "list") {
+    const entries = store.list(name);
+    if (args.json) console.log(JSON.stringify(entries.map(({ dir, ...e }) => e), null, 2));
+    else printVersions(entries);
+    return;
+  }
+
+  if (action === "diff") {
+    if (!kbPath || !from) fail(`Uso: albabot-kb backups diff <kb.json> <id> [<id>|current]`);
+    const a = readVersion(store, kbPath, from);
+    const b = readVersion(store, kbPath, to);
+    const d = Array.isArray(a.chunks) && Array.isArray(b.chunks)
+      ? diffChunks(a, b)
+      : diffKB(datasets.asKB(a), datasets.asKB(b));
+    if (args.json) console.log(JSON.stringify(d, null, 2));
+    else printDiff(d);
+    return;
+  }
+
+  if (action === "prune") {
+    for (const n of name ? [name] : store.names()) {
+      const removed = store.prune(n);
+      console.log(`🧹 ${n}: ${removed.length} versiones borradas (se conservan ${store.KEEP}${store.MAX_DAYS ? `, máx. ${store.MAX_DAYS} días` : ""})`);
+    }
+    return;
+  }
+
+  if (action === "adopt") {
+    const adopted = store.adopt(path.resolve(args.dir || "."));
+    if (!adopted.length) console.log("(no hay respaldos sueltos)");
+    else printVersions(adopted);
+    return;
+  }
+
+  fail(`Acción desconocida: ${action}\nUso: ${USAGE}`);
+}
+
+module.exports = { run, USAGE, printVersions };
@@ -0,0 +1,57 @@
+// tools/kb/build.js
+// albabot-kb build: datasets (QA arrays, {blocks}, {preguntas}) -> KB versionada
+
+const fs = require("fs");
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+const { parseArgs, readJson, writeJson, backupKB, resolveFrom, defaultDatasetFiles, fail } = require("./common.js");
+
+const USAGE = `albabot-kb build [--out kb.json] [--dir .] [--in a.json b.json ...] [--id kb_id] [--include-unanswered]`;
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["include-unanswered"], multi: ["in"] });
+  const dir = path.resolve(args.dir || process.cwd());
+  const out = resolveFrom(dir, args.out || "kb.json");
+
+  const inputs = args.in && args.in.length
+    ? args.in.map((f) => resolveFrom(dir, f))
+    : defaultDatasetFiles(dir);
+
+  if (!inputs.length) fail("No encontré datasets (*QA*.json o preguntas_*.json).");
+
+  const blocks = [];
+  for (const fp of inputs) {
+    if (!fs.existsSync(fp)) {
+      console.warn(`⚠️ No existe: ${fp}`);
+      continue;
+    }
+
+    const dataset = path.basename(fp).replace(/\.json$/i, "");
+    const all = datasets.toBlocks(readJson(fp), { dataset });
+    if (!all.length) {
+      console.warn(`⚠️ ${dataset}: formato no reconocido. Se salta.`);
+      continue;
+    }
+
+    const keep = args["include-unanswered"] ? all : all.filter(datasets.isAnswered);
+    blocks.push(...keep);
+
+    const pending = all.filter((b) => !datasets.isAnswered(b)).length;
+    console.log(`✅ ${dataset}: ${keep.length} bloques${pending && !args["include-unanswered"] ? ` (${pending} sin respuesta, se omiten)` : ""}`);
+  }
+
+  // las correcciones aceptadas (correcciones_QA.json) reemplazan a los bloques de su pregunta
+  const corrected = datasets.applyCorrections(blocks);
+  const replaced = blocks.length - corrected.length;
+  const kb = datasets.createKB(datasets.dedupeBlocks(corrected), { kbId: args.id });
+
+  const bak = await backupKB(out, "build");
+  writeJson(out, kb);
+
+  console.log("—");
+  if (replaced) console.log(`✏️ ${replaced} bloque/s reemplazado/s por correcciones`);
+  console.log(`📦 KB ${datasets.KB_FORMAT} v${datasets.KB_VERSION}: ${kb.blocks.length} bloques -> ${out}`);
+  if (bak) console.log(`🧷 Backup: ${bak}`);
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,113 @@
+// tools/kb/common.js
+// Utilidades compartidas por los subcomandos de tools/albabot-kb.js
+
+const fs = require("fs");
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+
+// argv -> { _: [posicionales], flag: valor }
+// Acepta --flag valor, --flag=valor y --flag (booleano). "--in a b c" junta varios valores.
+function parseArgs(argv, { boolean = [], multi = [] } = {}) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (!a.startsWith("--")) {
+      args._.push(a);
+      continue;
+    }
+    const eq = a.indexOf("=");
+    const key = (eq >= 0 ? a.slice(2, eq) : a.slice(2));
+    if (eq >= 0) {
+      args[key] = a.slice(eq + 1);
+    } else if (boolean.includes(key)) {
+      args[key] = true;
+    } else if (multi.includes(key)) {
+      args[key] = [];
+      while (argv[i + 1] && !argv[i + 1].startsWith("--")) args[key].push(argv[++i]);
+    } else {
+      args[key] = argv[++i];
+    }
+  }
+  return args;
+}
+
+function readJson(p) {
+  return datasets.parseJsonText(fs.readFileSync(p, "utf8"));
+}
+
+function writeJson(p, obj) {
+  fs.writeFileSync(p, JSON.stringify(obj, null, 2), "utf8");
+}
+
+// Lee una KB en cualquier formato y la devuelve en el formato versionado
+function readKB(p) {
+  return datasets.asKB(readJson(p), { dataset: path.basename(p).replace(/\.json$/i, "") });
+}
+
+// backups/ junto a la KB (kb.json -> ./backups/kb/<versión>/)
+function backupsDirFor(kbPath) {
+  return path.join(path.dirname(path.resolve(kbPath)), "backups");
+}
+
+// Respalda la KB (y sus vectores .vec, si hay) en backups/ antes de sobrescribirla.
+// Devuelve la carpeta de la versión, o null si la KB no existía. lib/backups.js es ESM.
+async function backupKB(kbPath, reason) {
+  const { createBackupStore } = await import("../../lib/backups.js");
+  const store = createBackupStore({ dir: backupsDirFor(kbPath) });
+  const vec = kbPath.replace(/\.json$/i, "") + ".vec";
+  const entry = store.save(path.basename(kbPath, ".json"), [kbPath, vec], { reason });
+  return entry ? entry.dir : null;
+}
+
+function resolveFrom(dir, f) {
+  return path.isAbsolute(f) ? f : path.join(dir, f);
+}
+
+// Datasets por defecto: *QA*.json y preguntas_*.json (no kb*)
+function defaultDatasetFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter((f) => f.toLowerCase().endsWith(".json"))
+    .filter((f) => /qa/i.test(f) || /^preguntas_/i.test(f))
+    .filter((f) => !/^kb/i.test(f))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+// Nombre de documento de un dataset ("Informe EM09.pdf") -> archivo real en docs/
+// por coincidencia de términos. uniqueTokens viene de lib/text.js (ESM, se pasa desde afuera).
+function matchDoc(name, docNames, uniqueTokens) {
+  if (!name) return null;
+  const strip = (s) => s.replace(/\.[a-z0-9]+$/i, "");
+  const want = uniqueTokens(strip(name));
+  if (!want.length) return null;
+
+  let best = null;
+  let bestScore = 0;
+  for (const d of docNames) {
+    const have = new Set(uniqueTokens(strip(d)));
+    const score = want.filter((t) => have.has(t)).length / want.length;
+    if (score > bestScore) {
+      best = d;
+      bestScore = score;
+    }
+  }
+  return bestScore >= 0.5 ? best : null;
+}
+
+function fail(msg) {
+  console.error(`❌ ${msg}`);
+  process.exit(1);
+}
+
+module.exports = {
+  parseArgs,
+  readJson,
+  writeJson,
+  readKB,
+  backupsDirFor,
+  backupKB,
+  resolveFrom,
+  defaultDatasetFiles,
+  matchDoc,
+  fail,
+};
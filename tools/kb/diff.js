@@ -0,0 +1,52 @@
+// tools/kb/diff.js
+// albabot-kb diff: bloques agregados, eliminados y modificados entre dos KBs
+
+const { parseArgs, readKB, fail } = require("./common.js");
+
+const USAGE = `albabot-kb diff <antes.json> <despues.json> [--json]`;
+
+// Campos que cuentan como "cambio" de un bloque
+const COMPARED = ["type", "status", "question", "answer", "text", "source", "source_section", "page_start", "page_end"];
+
+function diffKB(a, b) {
+  const before = new Map(a.blocks.map((x) => [x.id, x]));
+  const after = new Map(b.blocks.map((x) => [x.id, x]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+
+  for (const [id, blk] of after) {
+    const old = before.get(id);
+    if (!old) {
+      added.push(id);
+      continue;
+    }
+    const fields = COMPARED.filter((k) => JSON.stringify(old[k] ?? null) !== JSON.stringify(blk[k] ?? null));
+    if (fields.length) changed.push({ id, fields });
+  }
+  for (const id of before.keys()) {
+    if (!after.has(id)) removed.push(id);
+  }
+
+  return { added, removed, changed, unchanged: after.size - added.length - changed.length };
+}
+
+function run(argv) {
+  const args = parseArgs(argv, { boolean: ["json"] });
+  const [aPath, bPath] = args._;
+  if (!aPath || !bPath) fail(`Uso: ${USAGE}`);
+
+  const d = diffKB(readKB(aPath), readKB(bPath));
+  if (args.json) {
+    console.log(JSON.stringify(d, null, 2));
+    return;
+  }
+
+  d.added.forEach((id) => console.log(`+ ${id}`));
+  d.removed.forEach((id) => console.log(`- ${id}`));
+  d.changed.forEach((c) => console.log(`~ ${c.id} (${c.fields.join(", ")})`));
+  console.log(`—\n+${d.added.length} -${d.removed.length} ~${d.changed.length} (=${d.unchanged})`);
+}
+
+module.exports = { run, USAGE, diffKB };
@@ -0,0 +1,204 @@
+// tools/kb/eval.js
+// albabot-kb eval: evaluación offline de la recuperación.
+//
+// Usa las "variants" de los datasets *_QA_50 como consultas reservadas (no se indexan)
+// y mide si aparece el bloque/documento de origen:
+//   - browser: buscador de chat.html (lib/search.js) sobre la KB de bloques
+//              -> acierto por bloque (id) y por documento
+//   - server:  retrieve() de lib/rag.js sobre los chunks de docs/ (TOP_K, PER_DOC_CAP,
+//              RETRIEVAL_MODE, TARGET_CHUNKS, VECTOR_INDEX de .env) -> acierto por documento
+// Reporta recall@k, MRR y el desglose por documento, para comparar configuraciones.
+
+const fs = require("fs");
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+const search = require("../../lib/search.js");
+const { parseArgs, readJson, resolveFrom, matchDoc, fail } = require("./common.js");
+
+const USAGE = `albabot-kb eval [--retriever browser|server|both] [--in a_QA_50.json ...] [--k 1,3,5,10] [--weights tag=10,title=6] [--browser-kb kb.json] [--kb kb_udl.json] [--docs docs] [--rebuild] [--limit N] [--json]`;
+
+function evalFiles(dir) {
+  return fs.readdirSync(dir)
+    .filter((f) => /_QA_50.*\.json$/i.test(f))
+    .sort()
+    .map((f) => path.join(dir, f));
+}
+
+// variants -> [{ query, blockId, source }]
+function loadQueries(files) {
+  const queries = [];
+  const blocks = [];
+  for (const fp of files) {
+    const dataset = path.basename(fp).replace(/\.json$/i, "");
+    const all = datasets.toBlocks(readJson(fp), { dataset }).filter(datasets.isAnswered);
+    blocks.push(...all);
+    for (const b of all) {
+      for (const v of b.variants) queries.push({ query: v, blockId: b.id, source: b.source });
+    }
+  }
+  return { queries, blocks };
+}
+
+// "tag=10,title=6" -> { tag: 10, title: 6 }
+function parseWeights(s) {
+  if (!s) return {};
+  const out = {};
+  for (const part of String(s).split(",")) {
+    const [k, v] = part.split("=").map((x) => x.trim());
+    if (!(k in search.DEFAULT_WEIGHTS) || !Number.isFinite(Number(v))) fail(`Peso inválido: ${part}`);
+    out[k] = Number(v);
+  }
+  return out;
+}
+
+// Bloques tal como los indexa chat.html (texto = respuesta; variants fuera del índice)
+function chatBlocks(blocks) {
+  return blocks.map((b) => ({
+    id: b.id,
+    title: b.title,
+    text: b.type === "chunk" ? b.text : b.answer,
+    tags: b.tags,
+    source: b.source,
+  }));
+}
+
+// ranks: posición (1-based) del primer acierto o null
+function metrics(ranks, ks) {
+  const n = ranks.length;
+  const out = { n };
+  for (const k of ks) out[`R@${k}`] = n ? ranks.filter((r) => r && r <= k).length / n : 0;
+  out.MRR = n ? ranks.reduce((acc, r) => acc + (r ? 1 / r : 0), 0) / n : 0;
+  return out;
+}
+
+function firstRank(list, pred) {
+  const i = list.findIndex(pred);
+  return i === -1 ? null : i + 1;
+}
+
+function groupMetrics(rows, key, field, ks) {
+  const groups = new Map();
+  for (const r of rows) {
+    const g = r[key] || "(sin documento)";
+    if (!groups.has(g)) groups.set(g, []);
+    groups.get(g).push(r[field]);
+  }
+  return Object.fromEntries([...groups.entries()].sort().map(([g, ranks]) => [g, metrics(ranks, ks)]));
+}
+
+function evalBrowser(queries, index, ks, weights) {
+  const maxK = Math.max(...ks);
+  const rows = queries.map((q) => {
+    const top = search.rankBlocks(index, q.query, { weights }).slice(0, maxK).map((x) => x.b);
+    return {
+      source: q.source,
+      block: firstRank(top, (b) => b.id === q.blockId),
+      doc: firstRank(top, (b) => b.source === q.source),
+    };
+  });
+  return {
+    retriever: "browser",
+    config: { weights: { ...search.DEFAULT_WEIGHTS, ...weights }, blocks: index.length },
+    block: metrics(rows.map((r) => r.block), ks),
+    doc: metrics(rows.map((r) => r.doc), ks),
+    perDoc: groupMetrics(rows, "source", "block", ks),
+  };
+}
+
+async function evalServer(queries, ks, args) {
+  await import("dotenv/config");
+  const { createProvider } = await import("../../lib/providers.js");
+  const { createRAG } = await import("../../lib/rag.js");
+  const { uniqueTokens } = await import("../../lib/text.js");
+
+  const provider = createProvider(process.env.AI_PROVIDER || "openai");
+  const rag = createRAG({
+    provider,
+    docsDir: path.resolve(args.docs || "docs"),
+    kbPath: path.resolve(args.kb || "kb_udl.json"),
+  });
+  if (args.rebuild) await rag.buildKB({ full: true });
+  const kb = await rag.ensureKB();
+  const docNames = Object.keys(kb.meta.docs || {});
+
+  const rows = [];
+  let unmatched = 0;
+  for (const q of queries) {
+    const doc = matchDoc(q.source, docNames, uniqueTokens);
+    if (!doc) {
+      unmatched++;
+      continue;
+    }
+    const contexts = await rag.retrieve(kb, q.query);
+    rows.push({ doc, rank: firstRank(contexts, (c) => c.doc === doc) });
+  }
+
+  const { TOP_K, PER_DOC_CAP, RETRIEVAL_MODE, RRF_K, VECTOR_DTYPE, VECTOR_INDEX, HNSW_EF_SEARCH } = rag.config;
+  return {
+    retriever: "server",
+    config: {
+      provider: provider.name,
+      embedModel: provider.embedModel,
+      TOP_K, PER_DOC_CAP, RETRIEVAL_MODE, RRF_K, VECTOR_DTYPE, VECTOR_INDEX, HNSW_EF_SEARCH,
+      TARGET_CHUNKS: kb.meta.targetChunks,
+      chunks: kb.chunks.length,
+    },
+    unmatched,
+    doc: metrics(rows.map((r) => r.rank), ks),
+    perDoc: groupMetrics(rows, "doc", "rank", ks),
+  };
+}
+
+function fmtRow(label, m, ks) {
+  const cells = ks.map((k) => m[`R@${k}`].toFixed(3).padStart(7));
+  return `  ${label.padEnd(42).slice(0, 42)} ${String(m.n).padStart(5)}${cells.join("")}${m.MRR.toFixed(3).padStart(7)}`;
+}
+
+function printResult(r, ks) {
+  console.log(`\n🔎 ${r.retriever} · ${JSON.stringify(r.config)}`);
+  console.log(`  ${"".padEnd(42)} ${"n".padStart(5)}${ks.map((k) => `R@${k}`.padStart(7)).join("")}${"MRR".padStart(7)}`);
+  if (r.block) console.log(fmtRow("bloque", r.block, ks));
+  console.log(fmtRow("documento", r.doc, ks));
+  console.log(`  — por documento (${r.block ? "acierto por bloque" : "acierto por documento"})`);
+  for (const [doc, m] of Object.entries(r.perDoc)) console.log(fmtRow(doc, m, ks));
+  if (r.unmatched) console.log(`  ⚠️ ${r.unmatched} consultas sin documento equivalente en docs/ (no se evalúan)`);
+}
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["rebuild", "json"], multi: ["in"] });
+  const which = args.retriever || "both";
+  if (!["browser", "server", "both"].includes(which)) fail(`--retriever inválido: ${which}`);
+
+  const ks = String(args.k || "1,3,5,10").split(",").map(Number).filter((k) => k > 0);
+  if (!ks.length) fail("--k inválido");
+
+  const files = args.in && args.in.length ? args.in.map((f) => resolveFrom(process.cwd(), f)) : evalFiles(process.cwd());
+  if (!files.length) fail("No encontré datasets *_QA_50*.json con variants.");
+
+  const { queries: all, blocks } = loadQueries(files);
+  const queries = args.limit ? all.slice(0, Number(args.limit)) : all;
+  if (!queries.length) fail("Los datasets no traen variants para evaluar.");
+
+  const results = [];
+
+  if (which !== "server") {
+    // Índice del navegador: la KB versionada si existe (lo mismo que carga chat.html)
+    const kbPath = args["browser-kb"] || "kb.json";
+    const kbJson = fs.existsSync(kbPath) ? readJson(kbPath) : null;
+    const index = chatBlocks(datasets.isKB(kbJson) ? kbJson.blocks.filter(datasets.isAnswered) : blocks);
+    results.push(evalBrowser(queries, index, ks, parseWeights(args.weights)));
+  }
+  if (which !== "browser") {
+    results.push(await evalServer(queries, ks, args));
+  }
+
+  if (args.json) {
+    console.log(JSON.stringify({ queries: queries.length, files: files.map((f) => path.basename(f)), ks, results }, null, 2));
+    return;
+  }
+
+  console.log(`📋 ${queries.length} consultas (variants) de ${files.length} datasets`);
+  results.forEach((r) => printResult(r, ks));
+}
+
+module.exports = { run, USAGE, metrics, loadQueries };
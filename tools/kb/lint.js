@@ -0,0 +1,160 @@
+// tools/kb/lint.js
+// Revisiones de contenido que un JSON Schema no cubre: claves sospechosas,
+// preguntas repetidas o casi repetidas, rangos de páginas rotos y preguntas
+// generadas con plantilla que quedaron agramaticales, e instrucciones incrustadas en los
+// textos ("ignora las instrucciones anteriores…", lib/injection.js) que llegarían al prompt.
+
+const datasets = require("../../lib/datasets.js");
+
+// Jaccard de tokens a partir del cual dos preguntas se consideran casi iguales
+const NEAR_DUP = 0.85;
+
+// Verbos que en las plantillas van seguidos directamente de un sustantivo
+// ("¿Cómo influye indicadores en…", "¿Qué caracteriza gobernanza…")
+const TEMPLATE_VERBS = new Set([
+  "influye", "influyen", "incide", "inciden", "impacta", "impactan", "afecta", "afectan",
+  "caracteriza", "caracterizan", "determina", "determinan", "condiciona", "condicionan",
+]);
+
+// Palabras que sí pueden ir tras esos verbos (artículos, determinantes, preposiciones…)
+const AFTER_VERB_OK = new Set([
+  "el", "la", "los", "las", "lo", "un", "una", "unos", "unas", "al", "del",
+  "su", "sus", "mi", "mis", "tu", "tus", "nuestro", "nuestra", "nuestros", "nuestras",
+  "este", "esta", "estos", "estas", "ese", "esa", "esos", "esas", "aquel", "aquella",
+  "cada", "todo", "toda", "todos", "todas", "otro", "otra", "otros", "otras",
+  "dicho", "dicha", "dichos", "dichas", "cual", "que", "quien", "cuanto", "cuanta",
+  "se", "le", "les", "no", "ya", "hoy", "realmente", "actualmente", "directamente",
+  "a", "ante", "con", "de", "desde", "en", "entre", "hacia", "para", "por", "sobre",
+]);
+
+function fold(s) {
+  return String(s || "").toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+// Ítems crudos del dataset (para reportar rutas y claves originales)
+function rawItems(json) {
+  if (Array.isArray(json)) return { items: json, at: "$" };
+  if (json && Array.isArray(json.preguntas)) return { items: json.preguntas, at: "$.preguntas" };
+  if (json && Array.isArray(json.blocks)) return { items: json.blocks, at: "$.blocks" };
+  return { items: [], at: "$" };
+}
+
+function questionOf(item) {
+  return String(item.question || item.pregunta || item.q || item.title || "").trim();
+}
+
+function suspiciousKeys(item) {
+  return Object.keys(item).filter((k) => /\.\.\.|…/.test(k));
+}
+
+// "¿Cómo influye indicadores en…" -> { snippet, concord }
+function templateProblem(q) {
+  const words = q.replace(/[¿?¡!,;:()"“”]/g, " ").split(/\s+/).filter(Boolean);
+  for (let i = 0; i < words.length - 1; i++) {
+    const verb = fold(words[i]);
+    if (!TEMPLATE_VERBS.has(verb)) continue;
+    const next = words[i + 1];
+    if (!/^[a-záéíóúñü]/.test(next) || AFTER_VERB_OK.has(fold(next))) continue;
+    const concord = !verb.endsWith("n") && /s$/i.test(next);
+    return { snippet: `${words[i]} ${next}`, concord };
+  }
+  return null;
+}
+
+function checkPages(fuente) {
+  if (!fuente || typeof fuente !== "object") return null;
+  if (fuente.paginas !== undefined && fuente.paginas !== null && fuente.paginas !== "") {
+    const m = String(fuente.paginas).match(/^\s*(\d+)\s*(?:[-–—]\s*(\d+))?\s*$/);
+    if (!m) return `fuente.paginas ilegible: "${fuente.paginas}"`;
+    const start = Number(m[1]);
+    const end = m[2] ? Number(m[2]) : start;
+    if (start < 1) return `fuente.paginas empieza en ${start}`;
+    if (end < start) return `fuente.paginas invertido: "${fuente.paginas}"`;
+  }
+  if (fuente.pagina !== undefined && !(Number.isInteger(fuente.pagina) && fuente.pagina >= 1)) {
+    return `fuente.pagina inválida: ${JSON.stringify(fuente.pagina)}`;
+  }
+  return null;
+}
+
+// Textos de un ítem (pregunta, respuesta, variantes, ...) con su clave: [[clave, texto]]
+function textsOf(item, prefix = "") {
+  return Object.entries(item).flatMap(([k, v]) => {
+    const key = prefix ? `${prefix}.${k}` : k;
+    if (typeof v === "string") return [[key, v]];
+    if (v && typeof v === "object") return textsOf(v, key);
+    return [];
+  });
+}
+
+function jaccard(a, b) {
+  if (!a.size || !b.size) return 0;
+  let inter = 0;
+  for (const t of a) if (b.has(t)) inter++;
+  return inter / (a.size + b.size - inter);
+}
+
+// -> [{ level: "error"|"warning", code, path, message }]
+async function lintDataset(json) {
+  const { uniqueTokens } = await import("../../lib/text.js");
+  const { detectInjection } = await import("../../lib/injection.js");
+  const { items, at } = rawItems(json);
+  const issues = [];
+  const push = (level, code, i, message) => issues.push({ level, code, path: `${at}[${i}]`, message });
+
+  const seen = new Map();
+  const tokens = [];
+
+  items.forEach((item, i) => {
+    if (!item || typeof item !== "object") return;
+
+    for (const k of suspiciousKeys(item)) {
+      push("error", "suspicious-key", i, `clave sospechosa "${k}" (¿campo truncado?)`);
+    }
+
+    const pageProblem = checkPages(item.fuente);
+    if (pageProblem) push("error", "page-range", i, pageProblem);
+
+    for (const [key, text] of textsOf(item)) {
+      const hits = detectInjection(text);
+      if (hits.length) {
+        push("warning", "prompt-injection", i,
+          `posible instrucción incrustada en "${key}": "${hits[0].match}" (${hits.map(h => h.id).join(", ")})`);
+      }
+    }
+
+    const q = questionOf(item);
+    if (!q) return;
+
+    const key = datasets.normKey(q);
+    if (seen.has(key)) push("error", "duplicate-question", i, `pregunta repetida (igual a ${at}[${seen.get(key)}])`);
+    else seen.set(key, i);
+
+    const t = templateProblem(q);
+    if (t) {
+      push("warning", "templated-question", i,
+        `pregunta de plantilla agramatical: "${t.snippet}…" (falta artículo${t.concord ? ", verbo singular con sustantivo plural" : ""})`);
+    }
+
+    if ((q.match(/¿/g) || []).length > 1) push("warning", "multi-question", i, "varias preguntas en un mismo ítem");
+    else if (q.includes("¿") !== q.includes("?")) push("warning", "punctuation", i, "signos de interrogación desbalanceados");
+
+    tokens.push({ i, key, set: new Set(uniqueTokens(q)) });
+  });
+
+  // Casi duplicados (O(n²): los datasets son de cientos de ítems)
+  for (let a = 0; a < tokens.length; a++) {
+    for (let b = a + 1; b < tokens.length; b++) {
+      if (tokens[a].key === tokens[b].key) continue;
+      const sim = jaccard(tokens[a].set, tokens[b].set);
+      if (sim >= NEAR_DUP) {
+        push("warning", "near-duplicate", tokens[b].i,
+          `pregunta casi igual a ${at}[${tokens[a].i}] (similitud ${sim.toFixed(2)})`);
+      }
+    }
+  }
+
+  return issues;
+}
+
+module.exports = { lintDataset, templateProblem, checkPages, NEAR_DUP };
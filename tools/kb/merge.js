@@ -0,0 +1,77 @@
+// tools/kb/merge.js
+// albabot-kb merge: agrega (o reemplaza) bloques de datasets en una KB existente
+
+const fs = require("fs");
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+const { parseArgs, readJson, writeJson, readKB, backupKB, fail } = require("./common.js");
+
+const USAGE = `albabot-kb merge <kb.json> <dataset.json> [dataset2.json ...] [--mode=append|replace] [--approved-only]`;
+
+// Respuestas generadas (albabot-kb answer): con --approved-only solo entran las aprobadas;
+// las "rejected" nunca entran (datasets.isAnswered)
+function reviewedOk(b, approvedOnly) {
+  return !approvedOnly || !b.review_status || b.review_status === "approved";
+}
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["approved-only"] });
+  const mode = args.mode || "append";
+  if (!["append", "replace"].includes(mode)) fail(`--mode inválido: ${mode} (append|replace)`);
+
+  const [kbPath, ...inputs] = args._;
+  if (!kbPath || !inputs.length) fail(`Uso: ${USAGE}`);
+
+  const kb = fs.existsSync(kbPath) ? readKB(kbPath) : datasets.createKB([]);
+  const base = mode === "replace" ? [] : kb.blocks;
+
+  // Dedupe por pregunta normalizada (si ya existe, no la duplicamos)
+  const seenQuestions = new Set(base.filter((b) => b.question).map((b) => datasets.normKey(b.question)));
+  const ids = new Set(base.map((b) => b.id));
+
+  const merged = [...base];
+  let added = 0;
+  let skipped = 0;
+
+  for (const fp of inputs) {
+    if (!fs.existsSync(fp)) {
+      console.warn(`⚠️ No existe: ${fp}`);
+      continue;
+    }
+    const dataset = path.basename(fp).replace(/\.json$/i, "");
+    const all = datasets.toBlocks(readJson(fp), { dataset });
+    if (!all.length) {
+      console.warn(`⚠️ ${dataset}: formato no reconocido. Se salta.`);
+      continue;
+    }
+
+    const candidates = all.filter((b) => datasets.isAnswered(b) && reviewedOk(b, args["approved-only"]));
+    for (const b of candidates) {
+      const key = b.question ? datasets.normKey(b.question) : null;
+      if (key && seenQuestions.has(key)) {
+        skipped++;
+        continue;
+      }
+
+      let id = b.id;
+      for (let n = 2; ids.has(id); n++) id = `${b.id}_${n}`;
+
+      merged.push({ ...b, id });
+      ids.add(id);
+      if (key) seenQuestions.add(key);
+      added++;
+    }
+  }
+
+  const out = datasets.createKB(merged, { kbId: kb.kb_id, createdAt: kb.createdAt });
+
+  const bak = await backupKB(kbPath, "merge");
+  writeJson(kbPath, out);
+
+  console.log(`✅ Listo. Añadidos: ${added} bloques (${skipped} repetidos se omiten).`);
+  if (bak) console.log(`🧷 Backup: ${bak}`);
+  console.log(`📦 Total bloques ahora: ${out.blocks.length}`);
+  console.log(`ℹ️ Modo: ${mode}`);
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,73 @@
+// tools/kb/questions.js
+// albabot-kb questions: análisis del registro de preguntas del chat (logs/questions-*.jsonl,
+// lo escribe server.js con lib/questions.js). Lista las preguntas más frecuentes (agrupadas)
+// y las que quedaron sin respuesta o con respaldo bajo: las Q&A que conviene escribir.
+
+const path = require("path");
+const { parseArgs, fail } = require("./common.js");
+
+const USAGE = `albabot-kb questions [--dir logs] [--days 30] [--top 20] [--threshold 0.5] [--min-similarity 0.3] [--json]`;
+
+function num(v, def, name) {
+  if (v === undefined) return def;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0) fail(`--${name} debe ser un número >= 0.`);
+  return n;
+}
+
+function fmtScore(v) {
+  return v == null ? "  -  " : Number(v).toFixed(3);
+}
+
+function printClusters(title, clusters) {
+  if (!clusters.length) return;
+  console.log(`\n${title}`);
+  for (const c of clusters) {
+    const extra = c.unanswered ? ` · ${c.unanswered} sin respuesta` : "";
+    console.log(`  ${String(c.count).padStart(4)}  ${c.question}${extra}`);
+    for (const ex of c.examples.slice(1, 3)) console.log(`          ~ ${ex}`);
+  }
+}
+
+function printQuestions(title, list) {
+  if (!list.length) return;
+  console.log(`\n${title}`);
+  for (const q of list) {
+    const docs = q.docs.length ? `  [${q.docs.join(", ")}]` : "";
+    console.log(`  ${q.at.slice(0, 16).replace("T", " ")}  sim ${fmtScore(q.topSimilarity)}  resp ${fmtScore(q.grounding)}  ${q.question}${docs}`);
+  }
+}
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["json"] });
+  const dir = path.resolve(args.dir || "logs");
+  const days = num(args.days, 30, "days");
+  const { createQuestionLog, analyzeQuestions } = await import("../../lib/questions.js");
+
+  const log = createQuestionLog({ dir });
+  const report = analyzeQuestions(log.read({ days }), {
+    top: num(args.top, 20, "top") || 20,
+    threshold: num(args.threshold, 0.5, "threshold"),
+    minSimilarity: args["min-similarity"] === undefined ? null : num(args["min-similarity"], null, "min-similarity")
+  });
+
+  if (args.json) {
+    console.log(JSON.stringify({ dir, days, ...report }, null, 2));
+    return;
+  }
+
+  if (!report.total) {
+    console.log(`(sin preguntas en ${dir}${days ? ` en los últimos ${days} días` : ""})`);
+    return;
+  }
+
+  const pct = (n) => `${Math.round((n / report.total) * 100)}%`;
+  console.log(`💬 ${report.total} preguntas · ${report.sessions} sesiones · ${report.from.slice(0, 10)} → ${report.to.slice(0, 10)}`);
+  console.log(`   sin respuesta: ${report.unanswered} (${pct(report.unanswered)}) · respaldo bajo: ${report.low} (${pct(report.low)})${report.injections ? ` · posibles inyecciones: ${report.injections}` : ""}`);
+  printClusters("Más frecuentes", report.clusters);
+  printClusters("Sin respuesta (agrupadas)", report.unansweredClusters);
+  printQuestions("Últimas sin respuesta", report.unansweredQuestions);
+  printQuestions("Últimas con respaldo bajo", report.lowScoreQuestions);
+}
+
+module.exports = { run, USAGE };
@@ -0,0 +1,50 @@
+// tools/kb/restore.js
+// albabot-kb restore: vuelve a una versión de backups/<kb>/ (por defecto la última).
+// La versión actual también queda respaldada, así que un segundo restore deshace el primero.
+// Con kb_udl.json se restauran JSON y vectores (.vec) juntos, bajo el mismo candado que el build.
+
+const fs = require("fs");
+const path = require("path");
+const { parseArgs, backupsDirFor, fail } = require("./common.js");
+const { printVersions } = require("./backups.js");
+
+const USAGE = `albabot-kb restore <kb.json> [--to <id>] [--list]`;
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["list"] });
+  const [kbPath] = args._;
+  if (!kbPath) fail(`Uso: ${USAGE}`);
+
+  const { createBackupStore } = await import("../../lib/backups.js");
+  const { withKBLock } = await import("../../lib/rag.js");
+
+  const store = createBackupStore({ dir: backupsDirFor(kbPath) });
+  const name = path.basename(kbPath, ".json");
+
+  if (args.list) {
+    printVersions(store.list(name));
+    return;
+  }
+
+  const entry = store.get(name, args.to || "latest");
+  if (!entry) fail(args.to ? `No existe el respaldo "${args.to}" de ${name}.` : `No hay respaldos de ${name} en ${store.dir}.`);
+
+  // una versión ilegible dejaría la KB rota: mejor no tocar nada
+  try {
+    JSON.parse(fs.readFileSync(store.filePath(entry, path.basename(kbPath)), "utf8"));
+  } catch (e) {
+    fail(`El respaldo ${entry.id} no se puede usar (${e.message}). Elige otro con --to (ver --list).`);
+  }
+
+  const full = path.resolve(kbPath);
+  const vec = full.replace(/\.json$/i, "") + ".vec";
+  const targets = { [path.basename(full)]: full };
+  if (entry.files.some((f) => f.name === path.basename(vec)) || fs.existsSync(vec)) targets[path.basename(vec)] = vec;
+
+  const { restored, saved } = await withKBLock(full, async () => store.restore(name, entry.id, targets));
+
+  console.log(`✅ Restaurado ${kbPath} desde ${restored.id} (${restored.reason}, ${restored.createdAt})`);
+  if (saved) console.log(`🧷 Estado anterior: ${saved.id} (albabot-kb restore ${kbPath} --to ${saved.id} para volver)`);
+}
+
+module.exports = { run, USAGE };
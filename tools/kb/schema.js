@@ -0,0 +1,90 @@
+// tools/kb/schema.js
+// Validador mínimo de JSON Schema (el subconjunto que usan tools/kb/schemas/*.json):
+// type, const, enum, required, properties, items, minItems, minLength, minimum,
+// pattern, anyOf y $ref locales (#/definitions/...). Sin dependencias.
+
+const fs = require("fs");
+const path = require("path");
+
+const SCHEMA_DIR = path.join(__dirname, "schemas");
+
+function loadSchema(name) {
+  return JSON.parse(fs.readFileSync(path.join(SCHEMA_DIR, `${name}.schema.json`), "utf8"));
+}
+
+function typeOf(v) {
+  if (v === null) return "null";
+  if (Array.isArray(v)) return "array";
+  if (typeof v === "number") return Number.isInteger(v) ? "integer" : "number";
+  return typeof v;
+}
+
+function typeMatches(v, t) {
+  const actual = typeOf(v);
+  return actual === t || (t === "number" && actual === "integer");
+}
+
+function resolveRef(root, ref) {
+  if (!ref.startsWith("#/")) throw new Error(`$ref no soportado: ${ref}`);
+  return ref.slice(2).split("/").reduce((node, key) => node && node[key], root);
+}
+
+// Devuelve [{ path, message }] (vacío si el valor cumple)
+function validate(value, schema, root = schema, at = "$") {
+  if (schema.$ref) return validate(value, resolveRef(root, schema.$ref), root, at);
+
+  const errors = [];
+  const push = (message, p = at) => errors.push({ path: p, message });
+
+  if (schema.anyOf) {
+    const results = schema.anyOf.map((s) => validate(value, s, root, at));
+    if (!results.some((r) => !r.length)) {
+      // Reporta la alternativa "más cercana" (la con menos errores)
+      return results.sort((a, b) => a.length - b.length)[0];
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) push(`debe ser ${JSON.stringify(schema.const)}`);
+  if (schema.enum && !schema.enum.includes(value)) push(`debe ser uno de ${schema.enum.join(", ")}`);
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((t) => typeMatches(value, t))) {
+      push(`tipo ${typeOf(value)}, se esperaba ${types.join("|")}`);
+      return errors;
+    }
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      push(value.trim() ? `texto demasiado corto (< ${schema.minLength})` : "texto vacío");
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) push(`formato inválido: "${value}"`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) push(`debe ser >= ${schema.minimum}`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(String(value))) push(`formato inválido: ${value}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) push(`se esperaban al menos ${schema.minItems} elementos`);
+    if (schema.items) {
+      value.forEach((v, i) => errors.push(...validate(v, schema.items, root, `${at}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const k of schema.required || []) {
+      if (value[k] === undefined || value[k] === null) push(`falta el campo "${k}"`);
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (value[k] === undefined) continue;
+      errors.push(...validate(value[k], sub, root, `${at}.${k}`));
+    }
+  }
+
+  return errors;
+}
+
+module.exports = { SCHEMA_DIR, loadSchema, validate };
@@ -0,0 +1,65 @@
+// tools/kb/stats.js
+// albabot-kb stats: resumen de una KB (por dataset, documento, tipo y objetivo)
+
+const { parseArgs, readKB, fail } = require("./common.js");
+
+const USAGE = `albabot-kb stats <kb.json> [--json]`;
+
+function countBy(blocks, fn) {
+  const m = new Map();
+  for (const b of blocks) {
+    const k = fn(b);
+    if (k === null || k === undefined || k === "") continue;
+    m.set(k, (m.get(k) || 0) + 1);
+  }
+  return Object.fromEntries([...m.entries()].sort((a, b) => b[1] - a[1]));
+}
+
+function computeStats(kb) {
+  const blocks = kb.blocks;
+  const answers = blocks.filter((b) => b.answer).map((b) => b.answer.length);
+  return {
+    kb_id: kb.kb_id,
+    version: kb.version,
+    updatedAt: kb.updatedAt,
+    blocks: blocks.length,
+    byType: countBy(blocks, (b) => b.type),
+    byStatus: countBy(blocks, (b) => b.status),
+    byDataset: countBy(blocks, (b) => b.dataset),
+    bySource: countBy(blocks, (b) => b.source),
+    byObjetivo: countBy(blocks, (b) => b.objetivo_numero),
+    byCountry: countBy(blocks, (b) => b.country),
+    withPages: blocks.filter((b) => b.page_start != null).length,
+    avgAnswerChars: answers.length ? Math.round(answers.reduce((a, n) => a + n, 0) / answers.length) : 0,
+  };
+}
+
+function printTable(title, obj) {
+  const entries = Object.entries(obj);
+  if (!entries.length) return;
+  console.log(`\n${title}`);
+  for (const [k, v] of entries) console.log(`  ${String(v).padStart(5)}  ${k}`);
+}
+
+function run(argv) {
+  const args = parseArgs(argv, { boolean: ["json"] });
+  const [kbPath] = args._;
+  if (!kbPath) fail(`Uso: ${USAGE}`);
+
+  const stats = computeStats(readKB(kbPath));
+  if (args.json) {
+    console.log(JSON.stringify(stats, null, 2));
+    return;
+  }
+
+  console.log(`📦 ${kbPath} · ${stats.kb_id} · v${stats.version} · ${stats.blocks} bloques`);
+  console.log(`   con páginas: ${stats.withPages} · largo medio de respuesta: ${stats.avgAnswerChars} caracteres`);
+  printTable("Por tipo", stats.byType);
+  printTable("Por estado", stats.byStatus);
+  printTable("Por dataset", stats.byDataset);
+  printTable("Por documento", stats.bySource);
+  printTable("Por objetivo", stats.byObjetivo);
+  printTable("Por país", stats.byCountry);
+}
+
+module.exports = { run, USAGE, computeStats };
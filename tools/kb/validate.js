@@ -0,0 +1,134 @@
+// tools/kb/validate.js
+// albabot-kb validate: valida KBs y datasets contra su JSON Schema (tools/kb/schemas)
+// y revisa el contenido (tools/kb/lint.js). Sale con código 1 si hay errores
+// (o advertencias, con --strict), para usarlo como chequeo antes de build/merge.
+
+const fs = require("fs");
+const path = require("path");
+const datasets = require("../../lib/datasets.js");
+const { loadSchema, validate } = require("./schema.js");
+const { lintDataset } = require("./lint.js");
+const { parseArgs, readJson, defaultDatasetFiles, fail } = require("./common.js");
+
+const USAGE = `albabot-kb validate [archivo.json ...] [--strict] [--summary] [--json]`;
+
+// Tipo de dataset -> nombre del schema
+function schemaNameFor(json) {
+  if (datasets.isKB(json)) return "albabot-kb";
+  const shape = datasets.detectShape(json);
+  return shape === "unknown" ? null : shape;
+}
+
+// Reglas propias de la KB versionada (lo que el schema no expresa)
+function validateKB(json) {
+  const errors = [];
+  const warnings = [];
+
+  if (json.version !== datasets.KB_VERSION) {
+    warnings.push({ path: "$.version", message: `versión ${json.version} (se esperaba ${datasets.KB_VERSION})` });
+  }
+
+  const ids = new Set();
+  (json.blocks || []).forEach((b, i) => {
+    if (!b || typeof b !== "object") return;
+    const at = `$.blocks[${i}]`;
+    if (b.id && ids.has(b.id)) errors.push({ path: at, message: `id duplicado: ${b.id}` });
+    ids.add(b.id);
+
+    if (!b.source) warnings.push({ path: at, message: "sin source" });
+    if (b.type === "qa" && !b.question) errors.push({ path: at, message: "qa sin question" });
+    if (b.status === "answered" && b.type === "qa" && !String(b.answer || "").trim()) {
+      errors.push({ path: at, message: "marcado answered pero con respuesta vacía" });
+    }
+    if (b.status === "unanswered") warnings.push({ path: at, message: "pregunta sin respuesta" });
+    if (b.page_start != null && b.page_end != null && b.page_end < b.page_start) {
+      errors.push({ path: at, message: `page_end (${b.page_end}) < page_start (${b.page_start})` });
+    }
+  });
+
+  return { errors, warnings };
+}
+
+async function checkFile(fp) {
+  const report = { file: fp, schema: null, errors: [], warnings: [], unanswered: 0 };
+  const add = (level, code, issue) => report[level === "error" ? "errors" : "warnings"].push({ code, ...issue });
+
+  let json;
+  try {
+    json = readJson(fp);
+  } catch (err) {
+    add("error", "json", { path: "$", message: `JSON inválido: ${err.message}` });
+    return report;
+  }
+
+  const name = schemaNameFor(json);
+  if (!name) {
+    add("error", "shape", { path: "$", message: "estructura no reconocida (ni KB, ni QA, ni {preguntas}, ni {blocks})" });
+    return report;
+  }
+  report.schema = name;
+
+  for (const e of validate(json, loadSchema(name))) add("error", "schema", e);
+
+  if (name === "albabot-kb") {
+    const kb = validateKB(json);
+    kb.errors.forEach((e) => add("error", "kb", e));
+    kb.warnings.forEach((w) => add("warning", "kb", w));
+  }
+
+  for (const { level, code, path: at, message } of await lintDataset(json)) add(level, code, { path: at, message });
+
+  report.unanswered = datasets.toBlocks(json, { dataset: path.basename(fp) })
+    .filter((b) => !datasets.isAnswered(b)).length;
+
+  return report;
+}
+
+function countByCode(list) {
+  const m = {};
+  for (const x of list) m[x.code] = (m[x.code] || 0) + 1;
+  return Object.entries(m).map(([k, v]) => `${k}: ${v}`).join(", ");
+}
+
+function printReport(r, { summary }) {
+  console.log(`\n📄 ${r.file}${r.schema ? ` [${r.schema}]` : ""}`);
+  if (!summary) {
+    r.errors.forEach((e) => console.log(`  ❌ ${e.path}  ${e.message}`));
+    r.warnings.forEach((w) => console.log(`  ⚠️ ${w.path}  ${w.message}`));
+  }
+  if (r.errors.length) console.log(`  errores (${r.errors.length}): ${countByCode(r.errors)}`);
+  if (r.warnings.length) console.log(`  advertencias (${r.warnings.length}): ${countByCode(r.warnings)}`);
+  if (r.unanswered) console.log(`  ℹ️ ${r.unanswered} preguntas sin respuesta`);
+  if (!r.errors.length && !r.warnings.length) console.log("  ✅ sin problemas");
+}
+
+async function run(argv) {
+  const args = parseArgs(argv, { boolean: ["strict", "summary", "json"] });
+
+  let files = args._;
+  if (!files.length) {
+    files = defaultDatasetFiles(process.cwd());
+    if (fs.existsSync("kb.json")) files.unshift("kb.json");
+  }
+  if (!files.length) fail(`Uso: ${USAGE}`);
+
+  const reports = [];
+  for (const fp of files) {
+    if (!fs.existsSync(fp)) fail(`No existe: ${fp}`);
+    reports.push(await checkFile(fp));
+  }
+
+  const errors = reports.reduce((n, r) => n + r.errors.length, 0);
+  const warnings = reports.reduce((n, r) => n + r.warnings.length, 0);
+
+  if (args.json) {
+    console.log(JSON.stringify({ ok: !errors, errors, warnings, files: reports }, null, 2));
+  } else {
+    reports.forEach((r) => printReport(r, { summary: args.summary }));
+    console.log(`—\n${reports.length} archivos: ${errors} errores, ${warnings} advertencias`);
+  }
+
+  if (errors || (args.strict && warnings)) process.exit(1);
+}
+
+module.exports = { run, USAGE, validateKB, checkFile };